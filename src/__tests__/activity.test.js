@@ -0,0 +1,95 @@
+const { isBot, getLastActivity, getLastAuthorActivity } = require('../activity');
+
+const pr = { created_at: '2026-03-01T00:00:00Z' };
+
+describe('Activity', () => {
+  describe('isBot', () => {
+    test('should detect bot accounts by type or [bot] suffix', () => {
+      expect(isBot({ login: 'github-actions[bot]', type: 'Bot' })).toBe(true);
+      expect(isBot({ login: 'dependabot[bot]' })).toBe(true);
+      expect(isBot({ login: 'alice', type: 'User' })).toBe(false);
+    });
+  });
+
+  describe('getLastActivity', () => {
+    test('should use the latest human commit, review or comment', () => {
+      const events = [
+        { event: 'committed', author: { name: 'alice', date: '2026-03-02T00:00:00Z' }, committer: { date: '2026-03-02T00:00:00Z' } },
+        { event: 'reviewed', user: { login: 'bob', type: 'User' }, submitted_at: '2026-03-04T00:00:00Z' },
+        { event: 'commented', actor: { login: 'carol', type: 'User' }, created_at: '2026-03-03T00:00:00Z' }
+      ];
+
+      expect(getLastActivity(pr, events)).toEqual(new Date('2026-03-04T00:00:00Z'));
+    });
+
+    test('should ignore bot comments and label changes', () => {
+      const events = [
+        { event: 'commented', actor: { login: 'alice', type: 'User' }, created_at: '2026-03-02T00:00:00Z' },
+        { event: 'commented', actor: { login: 'github-actions[bot]', type: 'Bot' }, created_at: '2026-03-10T00:00:00Z' },
+        { event: 'labeled', actor: { login: 'alice', type: 'User' }, created_at: '2026-03-11T00:00:00Z' }
+      ];
+
+      expect(getLastActivity(pr, events)).toEqual(new Date('2026-03-02T00:00:00Z'));
+    });
+
+    test('should ignore configured actors and event types', () => {
+      const events = [
+        { event: 'commented', actor: { login: 'Release-Bot-Account', type: 'User' }, created_at: '2026-03-05T00:00:00Z' },
+        { event: 'ready_for_review', actor: { login: 'alice', type: 'User' }, created_at: '2026-03-06T00:00:00Z' },
+        { event: 'line-commented', comments: [
+          { user: { login: 'bob', type: 'User' }, created_at: '2026-03-03T00:00:00Z' },
+          { user: { login: 'renovate[bot]', type: 'Bot' }, created_at: '2026-03-08T00:00:00Z' }
+        ] }
+      ];
+
+      const last = getLastActivity(pr, events, {
+        ignoredActors: ['release-bot-account'],
+        ignoredEventTypes: ['ready_for_review']
+      });
+
+      expect(last).toEqual(new Date('2026-03-03T00:00:00Z'));
+    });
+
+    test('should ignore commits authored by bots', () => {
+      const events = [
+        { event: 'committed', author: { name: 'dependabot[bot]', date: '2026-03-09T00:00:00Z' }, committer: { date: '2026-03-09T00:00:00Z' } }
+      ];
+
+      expect(getLastActivity(pr, events)).toEqual(new Date('2026-03-01T00:00:00Z'));
+    });
+  });
+
+  describe('getLastAuthorActivity', () => {
+    const authoredPR = { ...pr, user: { login: 'Alice' } };
+
+    test('should count pushes and the author\'s own comments and reviews', () => {
+      const events = [
+        { event: 'commented', actor: { login: 'alice', type: 'User' }, created_at: '2026-03-02T00:00:00Z' },
+        { event: 'committed', author: { name: 'Alice Doe', date: '2026-03-03T00:00:00Z' }, committer: { date: '2026-03-03T00:00:00Z' } },
+        { event: 'reviewed', user: { login: 'bob', type: 'User' }, submitted_at: '2026-03-05T00:00:00Z' },
+        { event: 'commented', actor: { login: 'carol', type: 'User' }, created_at: '2026-03-06T00:00:00Z' }
+      ];
+
+      expect(getLastAuthorActivity(authoredPR, events)).toEqual(new Date('2026-03-03T00:00:00Z'));
+    });
+
+    test('should count a push whose git author name differs from the login', () => {
+      const events = [
+        { event: 'commented', actor: { login: 'alice', type: 'User' }, created_at: '2026-03-02T00:00:00Z' },
+        { event: 'committed', author: { name: 'A. Doe', date: '2026-03-04T00:00:00Z' }, committer: { date: '2026-03-04T00:00:00Z' } },
+        { event: 'head_ref_force_pushed', actor: { login: 'alice-work', type: 'User' }, created_at: '2026-03-07T00:00:00Z' }
+      ];
+
+      expect(getLastAuthorActivity(authoredPR, events)).toEqual(new Date('2026-03-07T00:00:00Z'));
+    });
+
+    test('should return null when the author did nothing', () => {
+      const events = [
+        { event: 'committed', author: { name: 'renovate[bot]', date: '2026-03-09T00:00:00Z' }, committer: { date: '2026-03-09T00:00:00Z' } },
+        { event: 'labeled', actor: { login: 'alice', type: 'User' }, created_at: '2026-03-10T00:00:00Z' }
+      ];
+
+      expect(getLastAuthorActivity(authoredPR, events)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { countOpenWork, addWorkload, selectAssignees } = require('../assignment');
+
+function makePR(number, overrides = {}) {
+  return {
+    number,
+    user: { login: 'author' },
+    assignees: [],
+    requested_reviewers: [],
+    ...overrides
+  };
+}
+
+describe('Assignment', () => {
+  const owners = ['alice', 'bob', 'carol'];
+
+  test('should count open assignments and review requests once per PR', () => {
+    const workload = countOpenWork([
+      makePR(1, { assignees: [{ login: 'Alice' }], requested_reviewers: [{ login: 'alice' }] }),
+      makePR(2, { requested_reviewers: [{ login: 'alice' }, { login: 'bob' }] })
+    ]);
+
+    expect(workload).toEqual(new Map([['alice', 2], ['bob', 1]]));
+
+    addWorkload(workload, ['Bob', 'carol']);
+    expect(workload).toEqual(new Map([['alice', 2], ['bob', 2], ['carol', 1]]));
+  });
+
+  test('should assign every owner by default', () => {
+    expect(selectAssignees(makePR(1), owners)).toEqual(owners);
+    expect(selectAssignees(makePR(1), owners, { strategy: 'all', maxAssignees: 2 })).toEqual(['alice', 'bob']);
+  });
+
+  test('should never assign the PR author', () => {
+    const pr = makePR(1, { user: { login: 'Alice' } });
+
+    expect(selectAssignees(pr, owners)).toEqual(['bob', 'carol']);
+    expect(selectAssignees(pr, ['alice'])).toEqual([]);
+  });
+
+  test('should rotate owners by PR number with round-robin', () => {
+    const settings = { strategy: 'round-robin', maxAssignees: 1 };
+
+    expect(selectAssignees(makePR(3), owners, settings)).toEqual(['alice']);
+    expect(selectAssignees(makePR(4), owners, settings)).toEqual(['bob']);
+    expect(selectAssignees(makePR(5), owners, { strategy: 'round-robin', maxAssignees: 3 })).toEqual(['carol', 'alice', 'bob']);
+  });
+
+  test('should pick a single owner with round-robin and least-loaded when there is no limit', () => {
+    const workload = new Map([['alice', 3], ['bob', 1]]);
+
+    expect(selectAssignees(makePR(5), owners, { strategy: 'round-robin', maxAssignees: 0 })).toEqual(['carol']);
+    expect(selectAssignees(makePR(1), owners, { strategy: 'least-loaded', maxAssignees: 0 }, workload)).toEqual(['carol']);
+    expect(selectAssignees(makePR(1), owners, { strategy: 'all', maxAssignees: 0 })).toEqual(owners);
+  });
+
+  test('should prefer owners with the least open work, keeping CODEOWNERS order on ties', () => {
+    const workload = new Map([['alice', 3], ['bob', 1]]);
+
+    expect(selectAssignees(makePR(1), owners, { strategy: 'least-loaded', maxAssignees: 2 }, workload))
+      .toEqual(['carol', 'bob']);
+    expect(selectAssignees(makePR(1), owners, { strategy: 'least-loaded', maxAssignees: 3 })).toEqual(owners);
+  });
+});
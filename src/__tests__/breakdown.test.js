@@ -0,0 +1,51 @@
+const { buildPeopleBreakdown } = require('../breakdown');
+
+function makeEntry(number, overrides = {}) {
+  return {
+    number,
+    title: `PR ${number}`,
+    url: `https://github.com/test/pr/${number}`,
+    author: 'alice',
+    draft: false,
+    daysSinceCreated: number,
+    daysSinceUpdate: 1,
+    requested_reviewers: [],
+    requested_teams: [],
+    ...overrides
+  };
+}
+
+describe('People breakdown', () => {
+  const rules = [
+    { key: 'stalled', label: 'Stalled PRs' },
+    { key: 'old', label: 'Long-running PRs' }
+  ];
+
+  test('should group flagged PRs by author, listing each PR once with its categories', () => {
+    const issues = {
+      stalled: [makeEntry(1), makeEntry(2, { author: 'bob' })],
+      old: [makeEntry(1), makeEntry(5)]
+    };
+
+    const { authors } = buildPeopleBreakdown(issues, rules, []);
+
+    expect(authors.map(a => [a.name, a.count])).toEqual([['@alice', 2], ['@bob', 1]]);
+    expect(authors[0].prs.map(pr => [pr.number, pr.categoryList])).toEqual([
+      [5, 'Long-running PRs'],
+      [1, 'Stalled PRs, Long-running PRs']
+    ]);
+  });
+
+  test('should group pending review requests by reviewer and team, skipping drafts', () => {
+    const openEntries = [
+      makeEntry(1, { requested_reviewers: [{ login: 'carol' }], requested_teams: [{ slug: 'core' }] }),
+      makeEntry(2, { requested_reviewers: [{ login: 'carol' }, { login: 'dave' }] }),
+      makeEntry(3, { draft: true, requested_reviewers: [{ login: 'dave' }] })
+    ];
+
+    const { reviewers } = buildPeopleBreakdown({ stalled: [], old: [] }, rules, openEntries);
+
+    expect(reviewers.map(r => [r.name, r.count])).toEqual([['@carol', 2], ['@dave', 1], ['team core', 1]]);
+    expect(reviewers[0].requests.map(pr => pr.number)).toEqual([2, 1]);
+  });
+});
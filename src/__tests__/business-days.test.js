@@ -0,0 +1,77 @@
+const {
+  isValidTimezone,
+  localDate,
+  countWorkingDays,
+  createAgeCalculator
+} = require('../business-days');
+
+const options = { timezone: 'UTC', weekend: ['sat', 'sun'], holidays: [] };
+
+describe('Business Days', () => {
+  describe('isValidTimezone', () => {
+    test('should accept IANA timezones and reject unknown ones', () => {
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    });
+  });
+
+  describe('localDate', () => {
+    test('should return the calendar date in the timezone', () => {
+      const instant = new Date('2026-03-06T23:30:00Z');
+
+      expect(localDate(instant, 'UTC')).toBe('2026-03-06');
+      expect(localDate(instant, 'Asia/Tokyo')).toBe('2026-03-07');
+    });
+  });
+
+  describe('countWorkingDays', () => {
+    test('should skip the weekend', () => {
+      // Friday -> Monday
+      expect(countWorkingDays(new Date('2026-03-06T17:00:00Z'), new Date('2026-03-09T09:00:00Z'), options)).toBe(1);
+      // Friday -> Tuesday
+      expect(countWorkingDays(new Date('2026-03-06T17:00:00Z'), new Date('2026-03-10T09:00:00Z'), options)).toBe(2);
+    });
+
+    test('should return 0 on the same day', () => {
+      expect(countWorkingDays(new Date('2026-03-09T08:00:00Z'), new Date('2026-03-09T18:00:00Z'), options)).toBe(0);
+    });
+
+    test('should skip holidays', () => {
+      const withHoliday = { ...options, holidays: ['2026-03-09'] };
+
+      expect(countWorkingDays(new Date('2026-03-06T17:00:00Z'), new Date('2026-03-10T09:00:00Z'), withHoliday)).toBe(1);
+    });
+
+    test('should support a custom weekend', () => {
+      const fridaySaturday = { ...options, weekend: ['fri', 'sat'] };
+
+      // Thursday -> Sunday
+      expect(countWorkingDays(new Date('2026-03-05T12:00:00Z'), new Date('2026-03-08T12:00:00Z'), fridaySaturday)).toBe(1);
+    });
+
+    test('should use the configured timezone to decide the day', () => {
+      // 23:30 UTC on Friday is already Saturday in Tokyo, so Monday is the first working day after it in both cases
+      const from = new Date('2026-03-06T23:30:00Z');
+      const to = new Date('2026-03-09T01:00:00Z');
+
+      expect(countWorkingDays(from, to, options)).toBe(1);
+      expect(countWorkingDays(from, to, { ...options, timezone: 'Asia/Tokyo' })).toBe(1);
+      expect(countWorkingDays(new Date('2026-03-05T23:30:00Z'), to, { ...options, timezone: 'Asia/Tokyo' })).toBe(1);
+      expect(countWorkingDays(new Date('2026-03-05T23:30:00Z'), to, options)).toBe(2);
+    });
+  });
+
+  describe('createAgeCalculator', () => {
+    test('should count calendar days by default', () => {
+      const age = createAgeCalculator({ enabled: false });
+
+      expect(age(new Date('2026-03-06T12:00:00Z'), new Date('2026-03-09T00:00:00Z'))).toBe(2.5);
+    });
+
+    test('should count working days when enabled', () => {
+      const age = createAgeCalculator({ enabled: true, ...options });
+
+      expect(age(new Date('2026-03-06T12:00:00Z'), new Date('2026-03-09T00:00:00Z'))).toBe(1);
+    });
+  });
+});
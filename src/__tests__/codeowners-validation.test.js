@@ -0,0 +1,147 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../github-service');
+
+const githubService = require('../github-service');
+const { parseCodeowners } = require('../codeowners');
+const {
+  findShadowedRules,
+  computeCoverage,
+  checkOwnerAccess,
+  validateCodeowners,
+  validationFailed
+} = require('../codeowners-validation');
+
+function encoded(content) {
+  return { content: Buffer.from(content).toString('base64') };
+}
+
+const FILES = [
+  'README.md',
+  'src/index.js',
+  'src/util.js',
+  'docs/guide.md',
+  'scripts/build/release.sh',
+  'scripts/build/publish.sh',
+  'vendor/lib/a.c',
+  'vendor/lib/b.c'
+];
+
+describe('CODEOWNERS validation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    githubService.getUserPermission.mockResolvedValue('write');
+    githubService.getTeamPermissions.mockResolvedValue({ admin: false, maintain: false, push: true, pull: true });
+  });
+
+  test('should report rules that match nothing or are always overridden', () => {
+    const rules = parseCodeowners(`
+*.js        @js-owner
+/src/       @src-owner
+/missing/   @nobody
+*.md        @docs
+README.md   @readme
+docs/       @docs-team
+`);
+
+    expect(findShadowedRules(rules, FILES)).toEqual([
+      { lines: [2], message: '"*.js" is overridden for every file it matches by line 3' },
+      { lines: [4], message: '"/missing/" matches no files' },
+      { lines: [5], message: '"*.md" is overridden for every file it matches by lines 6, 7' }
+    ]);
+  });
+
+  test('should list the top-most directories without an owner', () => {
+    const rules = parseCodeowners(`
+*.md            @docs
+/src/           @src-owner
+/vendor/        @vendor-owner
+/vendor/lib/
+`);
+
+    expect(computeCoverage(rules, FILES)).toEqual({
+      files: 8,
+      ownedFiles: 4,
+      unownedFiles: 4,
+      percent: 50,
+      unownedDirectories: [
+        { path: 'scripts/', files: 2 },
+        { path: 'vendor/', files: 2 }
+      ]
+    });
+    expect(computeCoverage([], ['a.js']).unownedDirectories).toEqual([{ path: '/', files: 1 }]);
+  });
+
+  test('should count email owners as owners', () => {
+    const rules = parseCodeowners(`
+*           @lead
+*.md        docs@example.com
+/vendor/
+`);
+
+    expect(computeCoverage(rules, FILES)).toEqual(expect.objectContaining({ ownedFiles: 6, unownedFiles: 2 }));
+    expect(findShadowedRules(rules, FILES)).toEqual([]);
+  });
+
+  test('should report owners without write access once, with every line', async () => {
+    githubService.getUserPermission.mockImplementation(async login => ({ alice: 'admin', bob: 'read' })[login] || null);
+    githubService.getTeamPermissions.mockImplementation(async (org, team) => (team === 'readers'
+      ? { admin: false, maintain: false, push: false, pull: true }
+      : null));
+
+    const errors = await checkOwnerAccess(parseCodeowners(`
+*       @alice @bob
+*.js    @bob @ghost
+/docs/  @org/readers @org/gone
+`));
+
+    expect(errors).toEqual([
+      { lines: [2, 3], message: '@bob does not have write access' },
+      { lines: [3], message: '@ghost was not found or has no access to this repository' },
+      { lines: [4], message: '@org/readers does not have write access' },
+      { lines: [4], message: '@org/gone does not exist or has no access to this repository' }
+    ]);
+    expect(githubService.getTeamPermissions).toHaveBeenCalledWith('org', 'readers');
+  });
+
+  test('should validate the default branch file end to end', async () => {
+    githubService.getContent.mockImplementation(async path => (path === '.github/CODEOWNERS'
+      ? encoded('*  @alice\n!*.md @bob\n/src/ @alice')
+      : null));
+    githubService.getRepositoryTree.mockResolvedValue({ paths: ['src/index.js'], truncated: true });
+
+    const result = await validateCodeowners();
+
+    expect(result.path).toBe('.github/CODEOWNERS');
+    expect(result.errors).toEqual([{ lines: [2], message: 'negated pattern "!*.md" is not supported' }]);
+    expect(result.warnings).toEqual([
+      { lines: [], message: 'The repository is too large to list completely, so shadowing and coverage only cover part of it' },
+      { lines: [1], message: '"*" is overridden for every file it matches by line 3' }
+    ]);
+    expect(result.coverage.percent).toBe(100);
+    expect(core.info).toHaveBeenCalledWith('🗂️ Validated .github/CODEOWNERS: 1 errors, 2 warnings, 100% of files owned');
+  });
+
+  test('should report a missing file as an error', async () => {
+    githubService.getContent.mockResolvedValue(null);
+
+    const result = await validateCodeowners();
+
+    expect(result.path).toBeNull();
+    expect(result.errors[0].message).toBe('No CODEOWNERS file found (looked for .github/CODEOWNERS, CODEOWNERS, docs/CODEOWNERS)');
+    expect(githubService.getRepositoryTree).not.toHaveBeenCalled();
+  });
+
+  test('should fail only at the configured level', () => {
+    const clean = { errors: [], warnings: [], coverage: { unownedFiles: 0 } };
+    const unowned = { errors: [], warnings: [], coverage: { unownedFiles: 3 } };
+    const broken = { errors: [{ lines: [1], message: 'x' }], warnings: [], coverage: null };
+
+    expect(validationFailed(broken, 'never')).toBe(false);
+    expect(validationFailed(broken, 'error')).toBe(true);
+    expect(validationFailed(unowned, 'error')).toBe(false);
+    expect(validationFailed(unowned, 'warning')).toBe(true);
+    expect(validationFailed(clean, 'warning')).toBe(false);
+  });
+});
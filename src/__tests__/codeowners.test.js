@@ -1,7 +1,15 @@
+jest.mock('@actions/core');
+jest.mock('../github-service');
+
+const githubService = require('../github-service');
 const {
   parseCodeowners,
   matchFileToOwners,
-  matchPattern
+  matchPattern,
+  loadCodeowners,
+  expandTeamOwners,
+  groupFilesByOwner,
+  findUnapprovedGroups
 } = require('../codeowners');
 
 describe('CODEOWNERS Parser', () => {
@@ -15,8 +23,8 @@ describe('CODEOWNERS Parser', () => {
     const rules = parseCodeowners(content);
 
     expect(rules).toHaveLength(2);
-    expect(rules[0]).toEqual({ pattern: '*.js', owners: ['developer'] });
-    expect(rules[1]).toEqual({ pattern: '*.md', owners: ['tech-writer'] });
+    expect(rules[0]).toEqual({ line: 3, pattern: '*.js', owners: ['developer'], emails: [] });
+    expect(rules[1]).toEqual({ line: 4, pattern: '*.md', owners: ['tech-writer'], emails: [] });
   });
 
   test('should handle multiple owners', () => {
@@ -39,12 +47,40 @@ describe('CODEOWNERS Parser', () => {
     expect(rules).toHaveLength(1);
   });
 
-  test('should filter out teams (containing /)', () => {
+  test('should keep teams as org/team', () => {
     const content = '*.js    @org/team @alice @bob';
     const rules = parseCodeowners(content);
 
-    // Should only include individual users
-    expect(rules[0].owners).toEqual(['alice', 'bob']);
+    expect(rules[0].owners).toEqual(['org/team', 'alice', 'bob']);
+  });
+
+  test('should keep escaped spaces in patterns, ignore trailing comments and keep emails apart', () => {
+    const content = 'docs/My\\ Guide.md   @alice docs@example.com   # owned by docs';
+    const rules = parseCodeowners(content);
+
+    expect(rules).toEqual([{ line: 1, pattern: 'docs/My\\ Guide.md', owners: ['alice'], emails: ['docs@example.com'] }]);
+    expect(matchFileToOwners('docs/My Guide.md', rules)).toEqual(['alice']);
+  });
+
+  test('should skip lines GitHub treats as invalid, reporting them with line numbers', () => {
+    const errors = [];
+    const rules = parseCodeowners('!*.md @docs\n[Rr]EADME @docs\n*.js alice\n*.go @go-team', errors);
+
+    expect(rules).toEqual([{ line: 4, pattern: '*.go', owners: ['go-team'], emails: [] }]);
+    expect(errors).toEqual([
+      { line: 1, message: 'negated pattern "!*.md" is not supported' },
+      { line: 2, message: 'character range in "[Rr]EADME" is not supported' },
+      { line: 3, message: '"alice" is not a @user, @org/team or email address' }
+    ]);
+  });
+
+  test('should accept enterprise managed user logins', () => {
+    const errors = [];
+    const rules = parseCodeowners('*.js @octocat_acme @bad_', errors);
+
+    expect(rules).toEqual([]);
+    expect(errors).toEqual([{ line: 1, message: '"@bad_" is not a @user, @org/team or email address' }]);
+    expect(parseCodeowners('*.js @octocat_acme')[0].owners).toEqual(['octocat_acme']);
   });
 
   test('should remove @ prefix from usernames', () => {
@@ -90,7 +126,7 @@ describe('Pattern Matching', () => {
   });
 
   test('should match double wildcard patterns', () => {
-    // expect(matchPattern('src/deep/nested/file.test.js', '**/*.test.js')).toBe(true);
+    expect(matchPattern('src/deep/nested/file.test.js', '**/*.test.js')).toBe(true);
     expect(matchPattern('file.test.js', '**/*.test.js')).toBe(true);
     expect(matchPattern('src/app.js', '**/*.test.js')).toBe(false);
   });
@@ -108,6 +144,81 @@ describe('Pattern Matching', () => {
   });
 });
 
+describe('GitHub CODEOWNERS semantics', () => {
+  // Examples from GitHub's CODEOWNERS documentation, plus the gitignore rules it builds on
+  test.each([
+    ['*', 'any/deeply/nested/file.go', true],
+    ['*.js', 'app.js', true],
+    ['*.js', 'src/lib/app.js', true],
+    ['*.js', 'app.jsx', false],
+    ['/build/logs/', 'build/logs/today.log', true],
+    ['/build/logs/', 'build/logs/2026/today.log', true],
+    ['/build/logs/', 'src/build/logs/today.log', false],
+    ['/build/logs/', 'build/logs', false],
+    ['docs/*', 'docs/getting-started.md', true],
+    ['docs/*', 'docs/build-app/troubleshooting.md', false],
+    ['docs/*', 'src/docs/getting-started.md', false],
+    ['apps/', 'apps/web/index.js', true],
+    ['apps/', 'src/apps/web/index.js', true],
+    ['apps/', 'apps', false],
+    ['/docs/', 'docs/guide/intro.md', true],
+    ['/docs/', 'src/docs/intro.md', false],
+    ['**/logs', 'build/logs/today.log', true],
+    ['**/logs', 'deeply/nested/logs/today.log', true],
+    ['**/logs', 'logs/today.log', true],
+    ['**/logs', 'logs', true],
+    ['**/logs', 'catalogs/today.log', false],
+    ['/apps/github', 'apps/github/index.js', true],
+    ['/apps/github', 'apps/github', true],
+    ['/apps/github', 'apps/github-pages/index.js', false],
+    ['docs/*.md', 'docs/intro.md', true],
+    ['docs/*.md', 'guides/docs/intro.md', false],
+    ['src/**/*.tsx', 'src/Button.tsx', true],
+    ['src/**/*.tsx', 'src/components/forms/Login.tsx', true],
+    ['src/**', 'src/app.js', true],
+    ['src/**', 'src', false],
+    ['config.d', 'config.d/app.conf', true],
+    ['config.d', 'etc/config.d/app.conf', true],
+    ['config.d', 'configXd/app.conf', false],
+    ['READ?E.md', 'README.md', true],
+    ['READ?E.md', 'READ/E.md', false],
+    ['README.md', 'readme.md', false],
+    ['[Rr]EADME', 'README', false],
+    ['[Rr]EADME', '[Rr]EADME', true],
+    ['My\\ Guide.md', 'docs/My Guide.md', true],
+    ['\\*.js', '*.js', true],
+    ['\\*.js', 'app.js', false]
+  ])('%s against %s is %s', (pattern, path, expected) => {
+    expect(matchPattern(path, pattern)).toBe(expected);
+  });
+
+  test('should apply the last matching rule, as in the documented example file', () => {
+    const rules = parseCodeowners(`
+*       @global-owner1 @global-owner2
+*.js    @js-owner
+*.go    docs@example.com
+*.txt   @octo-org/octocats
+/build/logs/ @doctocat
+docs/*  docs@example.com
+apps/   @octocat
+/docs/  @doctocat
+/scripts/ @doctocat @octocat
+**/logs @octocat
+/apps/  @octocat
+/apps/github
+`);
+
+    expect(matchFileToOwners('README.md', rules)).toEqual(['global-owner1', 'global-owner2']);
+    expect(matchFileToOwners('src/index.js', rules)).toEqual(['js-owner']);
+    expect(matchFileToOwners('main.go', rules)).toEqual([]);
+    expect(matchFileToOwners('notes/todo.txt', rules)).toEqual(['octo-org/octocats']);
+    expect(matchFileToOwners('scripts/deploy.sh', rules)).toEqual(['doctocat', 'octocat']);
+    expect(matchFileToOwners('build/logs/today.log', rules)).toEqual(['octocat']);
+    expect(matchFileToOwners('apps/web/index.js', rules)).toEqual(['octocat']);
+    expect(matchFileToOwners('apps/github/index.js', rules)).toEqual([]);
+  });
+});
+
 describe('File to Owners Matching', () => {
   const codeowners = [
     { pattern: '*', owners: ['default-owner'] },
@@ -203,16 +314,16 @@ Dockerfile            @devops
 });
 
 describe('Edge Cases', () => {
-  test('should handle malformed lines gracefully', () => {
+  test('should keep patterns without owners so they clear ownership', () => {
     const content = `
-*.js    @alice
-malformed-line-without-owner
-*.md    @bob
-
+/apps/          @octocat
+/apps/github
 `;
 
     const rules = parseCodeowners(content);
-    expect(rules).toHaveLength(2); // Should skip malformed line
+    expect(rules[1]).toEqual({ line: 3, pattern: '/apps/github', owners: [], emails: [] });
+    expect(matchFileToOwners('apps/github/index.js', rules)).toEqual([]);
+    expect(matchFileToOwners('apps/web/index.js', rules)).toEqual(['octocat']);
   });
 
   test('should handle files with dots in path', () => {
@@ -225,10 +336,132 @@ malformed-line-without-owner
     expect(matchPattern('file_with_underscores.js', '*.js')).toBe(true);
   });
 
-  test('should return empty owners for team-only rules', () => {
-    const content = '*.js    @org/frontend-team';
+  test('should keep team-only rules so they still override earlier matches', () => {
+    const content = '*        @alice\n*.js    @org/frontend-team';
     const rules = parseCodeowners(content);
 
-    expect(rules).toHaveLength(0); // No individual users
+    expect(matchFileToOwners('src/app.js', rules)).toEqual(['org/frontend-team']);
+  });
+});
+
+describe('Loading CODEOWNERS', () => {
+  function encoded(content) {
+    return { content: Buffer.from(content).toString('base64') };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should search the standard locations in GitHub order on the given branch', async () => {
+    githubService.getContent.mockImplementation(async path => (path === 'CODEOWNERS' ? encoded('* @root-owner') : null));
+
+    const rules = await loadCodeowners('release/1.x');
+
+    expect(rules).toEqual([{ line: 1, pattern: '*', owners: ['root-owner'], emails: [] }]);
+    expect(githubService.getContent.mock.calls).toEqual([
+      ['.github/CODEOWNERS', 'release/1.x'],
+      ['CODEOWNERS', 'release/1.x']
+    ]);
+  });
+
+  test('should prefer .github/CODEOWNERS and return null when no file exists', async () => {
+    githubService.getContent.mockImplementation(async path => encoded(`* @${path.split('/')[0].replace('.', '')}`));
+    expect(await loadCodeowners('main')).toEqual([{ line: 1, pattern: '*', owners: ['github'], emails: [] }]);
+
+    githubService.getContent.mockResolvedValue(null);
+    expect(await loadCodeowners('main')).toBeNull();
+    expect(githubService.getContent).toHaveBeenLastCalledWith('docs/CODEOWNERS', 'main');
+  });
+});
+
+describe('Team Expansion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    githubService.hasRecentActivity.mockResolvedValue(true);
+  });
+
+  test('should replace teams with their members, dropping duplicates', async () => {
+    githubService.listTeamMembers.mockResolvedValue(['Alice', 'dana']);
+
+    const owners = await expandTeamOwners(['alice', 'org/backend', 'erin']);
+
+    expect(owners).toEqual(['alice', 'dana', 'erin']);
+    expect(githubService.listTeamMembers).toHaveBeenCalledWith('org', 'backend');
+    expect(githubService.hasRecentActivity).not.toHaveBeenCalled();
+  });
+
+  test('should skip teams whose members cannot be listed', async () => {
+    githubService.listTeamMembers.mockResolvedValue(null);
+
+    expect(await expandTeamOwners(['org/secret', 'alice'])).toEqual(['alice']);
+  });
+
+  test('should leave out inactive members when configured', async () => {
+    githubService.listTeamMembers.mockResolvedValue(['dana', 'erin']);
+    githubService.hasRecentActivity.mockImplementation(async login => login === 'erin');
+
+    const owners = await expandTeamOwners(['org/backend', 'frank'], { inactiveMemberDays: 30 });
+
+    expect(owners).toEqual(['erin', 'frank']);
+    expect(githubService.hasRecentActivity).toHaveBeenCalledWith('dana', expect.any(Date));
+    expect(githubService.hasRecentActivity).not.toHaveBeenCalledWith('frank', expect.anything());
+  });
+});
+
+describe('Code-Owner Approval', () => {
+  const rules = parseCodeowners(`
+*           @lead
+*.js        @alice @bob
+/docs/      @org/docs
+/vendor/
+`);
+  const files = ['src/a.js', 'src/b.js', 'docs/guide.md', 'vendor/lib.c', 'Makefile'].map(filename => ({ filename }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    githubService.listTeamMembers.mockResolvedValue(['dana']);
+  });
+
+  test('should group changed files by the rule that owns them, leaving out unowned files', () => {
+    expect(groupFilesByOwner(files, rules)).toEqual([
+      { pattern: '*', owners: ['lead'], files: ['Makefile'] },
+      { pattern: '*.js', owners: ['alice', 'bob'], files: ['src/a.js', 'src/b.js'] },
+      { pattern: '/docs/', owners: ['org/docs'], files: ['docs/guide.md'] }
+    ]);
+  });
+
+  test('should count an approval from any user owner or team member', async () => {
+    const groups = groupFilesByOwner(files, rules);
+    const reviews = [
+      { user: { login: 'Bob' }, state: 'APPROVED' },
+      { user: { login: 'lead' }, state: 'COMMENTED' },
+      { user: { login: 'dana' }, state: 'APPROVED' }
+    ];
+
+    const unapproved = await findUnapprovedGroups(groups, reviews);
+
+    expect(unapproved.map(group => group.pattern)).toEqual(['*']);
+    expect(githubService.listTeamMembers).toHaveBeenCalledWith('org', 'docs');
+  });
+
+  test('should only count approvals that are still each reviewer\'s latest verdict', async () => {
+    const groups = groupFilesByOwner([{ filename: 'src/a.js' }], rules);
+    const reviews = [
+      { user: { login: 'alice' }, state: 'APPROVED' },
+      { user: { login: 'alice' }, state: 'CHANGES_REQUESTED' },
+      { user: { login: 'bob' }, state: 'DISMISSED' }
+    ];
+
+    expect(await findUnapprovedGroups(groups, reviews)).toEqual(groups);
+  });
+
+  test('should treat teams whose members cannot be listed as unapproved', async () => {
+    githubService.listTeamMembers.mockResolvedValue(null);
+    const groups = groupFilesByOwner([{ filename: 'docs/guide.md' }], rules);
+
+    expect(await findUnapprovedGroups(groups, [{ user: { login: 'dana' }, state: 'APPROVED' }])).toEqual(groups);
+    expect(await findUnapprovedGroups(groups, [])).toEqual(groups);
+    expect(githubService.listTeamMembers).toHaveBeenCalledTimes(1);
   });
 });
@@ -0,0 +1,300 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../github-service');
+
+const githubService = require('../github-service');
+const {
+  loadConfig,
+  getInputConfig,
+  validateConfig,
+  mergeConfig,
+  resolveThresholds
+} = require('../config');
+
+function encode(content) {
+  return { content: Buffer.from(content).toString('base64') };
+}
+
+describe('Config', () => {
+  let inputs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    inputs = {
+      'stale-days': '7',
+      'old-days': '30',
+      'blocked-labels': 'blocked, wip',
+      'create-issue': 'true',
+      'slack-webhook': 'https://hooks.slack.com/test'
+    };
+    core.getInput = jest.fn((name) => inputs[name] || '');
+    core.debug = jest.fn();
+    core.info = jest.fn();
+    githubService.getContent.mockResolvedValue(null);
+  });
+
+  describe('getInputConfig', () => {
+    test('should parse inputs and apply defaults', () => {
+      const config = getInputConfig();
+
+      expect(config.staleDays).toBe(7);
+      expect(config.oldDays).toBe(30);
+      expect(config.needsReviewDays).toBe(2);
+      expect(config.blockedLabels).toEqual(['blocked', 'wip']);
+      expect(config.createIssue).toBe(true);
+      expect(config.autoComment).toBe(false);
+      expect(config.autoAssignCodeowners).toBe(true);
+      expect(config.jobSummary).toBe(true);
+      expect(config.api).toEqual({ maxItems: 1000, maxRetries: 3, maxConcurrency: 4 });
+      expect(config.dataSource).toBe('rest');
+      expect(config.issueMode).toBe('create');
+      expect(config.closeIssueWhenClear).toBe(false);
+      expect(config.requestCodeownerReviews).toBe(false);
+      expect(config.checkCodeownerApproval).toBe(false);
+      expect(config.approvedUnmergedDays).toBe(3);
+      expect(config.authorIdleDays).toBe(7);
+      expect(config.assignment).toEqual({ strategy: 'all', maxAssignees: 0, inactiveMemberDays: 0 });
+      expect(config.codeownersValidation).toEqual({ enabled: false, failOn: 'never' });
+      expect(config.activity).toEqual({ source: 'timeline', ignoredActors: [], ignoredEventTypes: [] });
+      expect(config.notifications.slack.webhook).toBe('https://hooks.slack.com/test');
+    });
+
+    test('should reject invalid API limits', () => {
+      inputs['max-items'] = 'lots';
+      inputs['max-retries'] = '-1';
+      inputs['max-concurrency'] = '0';
+
+      expect(() => getInputConfig()).toThrow(/^Invalid configuration:/);
+      expect(() => getInputConfig()).toThrow('Input max-items must be a non-negative integer (got "lots")');
+      expect(() => getInputConfig()).toThrow('Input max-retries must be a non-negative integer (got "-1")');
+      expect(() => getInputConfig()).toThrow('Input max-concurrency must be at least 1 (got "0")');
+    });
+
+    test('should fail fast on non-numeric thresholds', () => {
+      inputs['stale-days'] = 'seven';
+
+      expect(() => getInputConfig()).toThrow('Input stale-days must be a non-negative integer (got "seven")');
+    });
+
+    test('should parse working-day inputs', () => {
+      inputs['business-days'] = 'true';
+      inputs['timezone'] = 'Europe/Berlin';
+      inputs['weekend-days'] = 'Fri, Sat';
+      inputs['holidays'] = '2026-12-25';
+
+      expect(getInputConfig().workingDays).toEqual({
+        enabled: true,
+        timezone: 'Europe/Berlin',
+        weekend: ['fri', 'sat'],
+        holidays: ['2026-12-25']
+      });
+    });
+
+    test('should reject invalid working-day inputs', () => {
+      inputs['timezone'] = 'Mars/Olympus';
+      inputs['weekend-days'] = 'caturday';
+      inputs['holidays'] = '25/12/2026';
+
+      expect(() => getInputConfig()).toThrow(/timezone is not a known timezone[\s\S]*weekend-days[\s\S]*holidays must be YYYY-MM-DD/);
+    });
+
+    test('should reject invalid booleans and data sources', () => {
+      inputs['ignore-drafts'] = 'yes';
+      inputs['data-source'] = 'soap';
+
+      expect(() => getInputConfig()).toThrow(/data-source must be one of rest, graphql[\s\S]*ignore-drafts must be true or false/);
+    });
+
+    test('should reject unknown assignment strategies', () => {
+      inputs['assignment-strategy'] = 'random';
+
+      expect(() => getInputConfig()).toThrow('Input assignment-strategy must be one of all, round-robin, least-loaded (got "random")');
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should accept a complete config', () => {
+      const errors = validateConfig({
+        'thresholds': { 'stale-days': 3, 'old-days': 20, 'needs-review-days': 1 },
+        'blocked-labels': ['blocked'],
+        'label-rules': [{ label: 'hotfix', 'stale-days': 1 }, { label: 'experiment', ignore: true }],
+        'data-source': 'graphql',
+        'notifications': { slack: { categories: ['stalled', 'failing-checks'] } }
+      });
+
+      expect(errors).toEqual([]);
+    });
+
+    test('should report every schema violation with its path', () => {
+      const errors = validateConfig({
+        'thresholds': { 'stale-days': 'seven' },
+        'label-rules': [{ 'old-days': -1 }],
+        'rules': { disable: ['everything'] },
+        'notifications': { teams: { webhook: 'https://example.com/hook' } },
+        'stale-days': 3
+      });
+
+      expect(errors).toEqual([
+        'config.thresholds.stale-days must be a non-negative integer (got "seven")',
+        'config.label-rules[0].label is required',
+        'config.label-rules[0].old-days must be a non-negative integer (got -1)',
+        'config.rules.disable[0] must be one of stalled, needs-review, codeowner-approval, approved-unmerged, author-idle, unassigned, blocked, failing-checks, conflicted, old (got "everything")',
+        'config.notifications.teams.webhook is not a recognised setting',
+        'config.stale-days is not a recognised setting'
+      ]);
+    });
+
+    test('should validate working-day settings', () => {
+      const errors = validateConfig({
+        'working-days': { timezone: 'Mars/Olympus', holidays: ['2026-12-25', 'christmas'] }
+      });
+
+      expect(errors).toEqual([
+        'config.working-days.timezone is not a known timezone (got "Mars/Olympus")',
+        'config.working-days.holidays[1] must be a YYYY-MM-DD date (got "christmas")'
+      ]);
+    });
+
+    test('should validate custom rules and notification categories', () => {
+      const errors = validateConfig({
+        'rules': {
+          custom: [
+            { name: 'stalled', match: { labels: ['x'] } },
+            { name: 'Big PRs', match: {} },
+            { name: 'wip-title', match: { title: '(unclosed' } }
+          ]
+        },
+        'notifications': { slack: { categories: ['wip-title', 'everything'] } }
+      });
+
+      expect(errors).toEqual([
+        'config.rules.custom[0].name "stalled" is already used by another rule',
+        'config.rules.custom[1].name must be lower-case letters, digits and dashes (got "Big PRs")',
+        'config.rules.custom[1].match must contain at least one condition',
+        expect.stringContaining('config.rules.custom[2].match.title is not a valid regular expression'),
+        expect.stringContaining('config.notifications.slack.categories[1] must be one of stalled,')
+      ]);
+    });
+
+    test('should reject templates that cannot be parsed', () => {
+      const errors = validateConfig({
+        'comment-message': 'Inactive for {{days}} days',
+        'templates': { 'report': '{{#categories}}{{name}}', 'needs-review-comment': '{{/x}}' }
+      });
+
+      expect(errors).toEqual([
+        'config.templates.report is not a valid template: Unclosed section {{#categories}}',
+        'config.templates.needs-review-comment is not a valid template: Unexpected {{/x}}'
+      ]);
+    });
+
+    test('should reject a document that is not a mapping', () => {
+      expect(validateConfig(['stale-days'])).toEqual(['config must be a mapping (got ["stale-days"])']);
+    });
+  });
+
+  describe('mergeConfig', () => {
+    test('should let the config file override inputs', () => {
+      const merged = mergeConfig(getInputConfig(), {
+        'thresholds': { 'stale-days': 3 },
+        'ignore-drafts': true,
+        'label-rules': [{ label: 'hotfix', 'stale-days': 1 }],
+        'notifications': { slack: { categories: ['stalled'] } }
+      });
+
+      expect(merged.staleDays).toBe(3);
+      expect(merged.oldDays).toBe(30);
+      expect(merged.ignoreDrafts).toBe(true);
+      expect(merged.templates.report).toBe(getInputConfig().templates.report);
+      expect(merged.assignment).toEqual({ strategy: 'all', maxAssignees: 0, inactiveMemberDays: 0 });
+      expect(merged.labelRules).toEqual([{ label: 'hotfix', ignore: false, staleDays: 1 }]);
+      expect(merged.notifications.slack).toEqual({
+        webhook: 'https://hooks.slack.com/test',
+        categories: ['stalled']
+      });
+    });
+
+    test('should merge assignment settings, keeping an explicit max-assignees of 0', () => {
+      inputs['max-assignees'] = '2';
+      inputs['inactive-member-days'] = '30';
+
+      const merged = mergeConfig(getInputConfig(), { assignment: { strategy: 'round-robin', 'max-assignees': 0 } });
+
+      expect(merged.assignment).toEqual({ strategy: 'round-robin', maxAssignees: 0, inactiveMemberDays: 30 });
+    });
+
+    test('should merge the approved-unmerged and author-idle thresholds and comment templates', () => {
+      const merged = mergeConfig(getInputConfig(), {
+        'thresholds': { 'approved-unmerged-days': 1 },
+        'label-rules': [{ label: 'slow', 'author-idle-days': 30 }],
+        'templates': { 'author-idle-comment': '@{{author}} ping' }
+      });
+
+      expect(merged.approvedUnmergedDays).toBe(1);
+      expect(merged.authorIdleDays).toBe(7);
+      expect(merged.labelRules).toEqual([{ label: 'slow', ignore: false, authorIdleDays: 30 }]);
+      expect(merged.templates.authorIdleComment).toBe('@{{author}} ping');
+      expect(merged.templates.approvedUnmergedComment).toBe(getInputConfig().templates.approvedUnmergedComment);
+    });
+
+    test('should merge CODEOWNERS validation settings', () => {
+      inputs['codeowners-fail-on'] = 'warning';
+
+      const merged = mergeConfig(getInputConfig(), { 'codeowners-validation': { enabled: true } });
+
+      expect(merged.codeownersValidation).toEqual({ enabled: true, failOn: 'warning' });
+    });
+  });
+
+  describe('loadConfig', () => {
+    test('should use inputs when no config file exists', async () => {
+      const config = await loadConfig();
+
+      expect(githubService.getContent).toHaveBeenCalledWith('.github/pr-monitor.yml');
+      expect(config.staleDays).toBe(7);
+    });
+
+    test('should load and merge the config file', async () => {
+      inputs['config-file'] = '.github/monitor.yml';
+      githubService.getContent.mockResolvedValue(encode('thresholds:\n  old-days: 14\n'));
+
+      const config = await loadConfig();
+
+      expect(githubService.getContent).toHaveBeenCalledWith('.github/monitor.yml');
+      expect(config.oldDays).toBe(14);
+      expect(core.info).toHaveBeenCalledWith('⚙️  Loaded configuration from .github/monitor.yml');
+    });
+
+    test('should fail with clear messages on schema violations', async () => {
+      githubService.getContent.mockResolvedValue(encode('thresholds:\n  stale-days: seven\n'));
+
+      await expect(loadConfig()).rejects.toThrow(
+        'Invalid configuration in .github/pr-monitor.yml:\n  - config.thresholds.stale-days must be a non-negative integer (got "seven")'
+      );
+    });
+
+    test('should fail on invalid YAML', async () => {
+      githubService.getContent.mockResolvedValue(encode('thresholds: [unclosed\n'));
+
+      await expect(loadConfig()).rejects.toThrow('.github/pr-monitor.yml is not valid YAML');
+    });
+  });
+
+  describe('resolveThresholds', () => {
+    test('should apply the first matching label rule', () => {
+      const config = {
+        staleDays: 7,
+        oldDays: 30,
+        needsReviewDays: 2,
+        labelRules: [{ label: 'Hotfix', ignore: false, staleDays: 1 }]
+      };
+
+      const thresholds = resolveThresholds({ labels: [{ name: 'hotfix' }] }, config);
+
+      expect(thresholds).toEqual(expect.objectContaining({ staleDays: 1, oldDays: 30, needsReviewDays: 2, ignore: false }));
+      expect(resolveThresholds({ labels: [] }, config).staleDays).toBe(7);
+    });
+  });
+});
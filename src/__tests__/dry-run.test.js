@@ -0,0 +1,39 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const dryRun = require('../dry-run');
+
+describe('Dry run recorder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    dryRun.configure(false);
+  });
+
+  test('should be disabled by default', () => {
+    expect(dryRun.isEnabled()).toBe(false);
+    expect(dryRun.getPlannedActions()).toEqual([]);
+  });
+
+  test('should record and log actions in order', () => {
+    dryRun.configure(true);
+    dryRun.record('create-comment', { issue_number: 1, body: 'Hi' }, 'comment on #1');
+    dryRun.record('post-webhook', { channel: 'slack' }, 'send the Slack notification');
+
+    expect(dryRun.isEnabled()).toBe(true);
+    expect(dryRun.getPlannedActions()).toEqual([
+      { type: 'create-comment', issue_number: 1, body: 'Hi' },
+      { type: 'post-webhook', channel: 'slack' }
+    ]);
+    expect(core.info).toHaveBeenCalledWith('🧪 [dry-run] Would comment on #1');
+  });
+
+  test('should clear recorded actions when reconfigured', () => {
+    dryRun.configure(true);
+    dryRun.record('create-issue', { title: 'Report' }, 'create issue "Report"');
+    dryRun.configure(true);
+
+    expect(dryRun.getPlannedActions()).toEqual([]);
+  });
+});
@@ -7,19 +7,50 @@ jest.mock('@actions/github');
 let githubService;
 // Mock Octokit
 const mockOctokit = {
+  hook: {
+    wrap: jest.fn()
+  },
+  paginate: {
+    iterator: jest.fn()
+  },
+  graphql: jest.fn(),
   rest: {
     repos: {
-      getContent: jest.fn()
+      getContent: jest.fn(),
+      getCollaboratorPermissionLevel: jest.fn(),
+      createOrUpdateFileContents: jest.fn(),
+      getCombinedStatusForRef: jest.fn()
+    },
+    checks: {
+      listForRef: jest.fn()
+    },
+    teams: {
+      listMembersInOrg: jest.fn(),
+      checkPermissionsForRepoInOrg: jest.fn()
+    },
+    search: {
+      issuesAndPullRequests: jest.fn()
     },
     pulls: {
+      get: jest.fn(),
       list: jest.fn(),
       listReviews: jest.fn(),
-      listFiles: jest.fn()
+      listFiles: jest.fn(),
+      requestReviewers: jest.fn()
+    },
+    git: {
+      getTree: jest.fn(),
+      createTree: jest.fn(),
+      createCommit: jest.fn(),
+      createRef: jest.fn()
     },
     issues: {
       create: jest.fn(),
+      update: jest.fn(),
+      listForRepo: jest.fn(),
       addAssignees: jest.fn(),
       listComments: jest.fn(),
+      listEventsForTimeline: jest.fn(),
       createComment: jest.fn()
     }
   }
@@ -44,6 +75,11 @@ describe('GitHubService', () => {
     core.warning = jest.fn();
     core.error = jest.fn();
 
+    // Yield a single page from the mocked endpoint unless a test overrides it
+    mockOctokit.paginate.iterator.mockImplementation((method, params) => (async function* () {
+      yield await method(params);
+    })());
+
     github.getOctokit = jest.fn().mockReturnValue(mockOctokit);
     github.context = {
       repo: {
@@ -93,13 +129,51 @@ describe('GitHubService', () => {
       expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
-        state: 'open',
         per_page: 100,
+        state: 'open',
         sort: 'updated',
         direction: 'asc'
       });
     });
 
+    test('should walk every page of results', async () => {
+      mockOctokit.paginate.iterator.mockReturnValue((async function* () {
+        yield { data: [{ number: 1 }, { number: 2 }], headers: { link: '<https://api.github.com/x?page=2>; rel="next"' } };
+        yield { data: [{ number: 3 }], headers: {} };
+      })());
+
+      const result = await githubService.listPullRequests();
+
+      expect(result.map(pr => pr.number)).toEqual([1, 2, 3]);
+      expect(githubService.getTruncationWarnings()).toEqual([]);
+    });
+
+    test('should stop at the max-items cap and record a truncation warning', async () => {
+      githubService.configure({ maxItems: 2 });
+      mockOctokit.paginate.iterator.mockReturnValue((async function* () {
+        yield { data: [{ number: 1 }, { number: 2 }], headers: { link: '<https://api.github.com/x?page=2>; rel="next"' } };
+        yield { data: [{ number: 3 }], headers: {} };
+      })());
+
+      const result = await githubService.listPullRequests();
+
+      expect(result.map(pr => pr.number)).toEqual([1, 2]);
+      expect(githubService.getTruncationWarnings()).toEqual(['pull requests (capped at 2)']);
+      expect(core.warning).toHaveBeenCalledWith('Listing pull requests stopped at the cap of 2 items');
+    });
+
+    test('should not warn when the last page exactly fills the cap', async () => {
+      githubService.configure({ maxItems: 2 });
+      mockOctokit.paginate.iterator.mockReturnValue((async function* () {
+        yield { data: [{ number: 1 }, { number: 2 }], headers: {} };
+      })());
+
+      const result = await githubService.listPullRequests();
+
+      expect(result).toHaveLength(2);
+      expect(githubService.getTruncationWarnings()).toEqual([]);
+    });
+
     test('should throw error when API call fails', async () => {
       mockOctokit.rest.pulls.list.mockRejectedValue(new Error('API Error'));
 
@@ -117,6 +191,7 @@ describe('GitHubService', () => {
 
       expect(result).toEqual(mockReviews);
       expect(mockOctokit.rest.pulls.listReviews).toHaveBeenCalledWith({
+        per_page: 100,
         owner: 'test-owner',
         repo: 'test-repo',
         pull_number: 123
@@ -144,6 +219,195 @@ describe('GitHubService', () => {
     });
   });
 
+  describe('getPullRequestTimeline', () => {
+    test('should return timeline events for a PR', async () => {
+      const events = [{ event: 'commented' }];
+      mockOctokit.rest.issues.listEventsForTimeline.mockResolvedValue({ data: events });
+
+      const result = await githubService.getPullRequestTimeline(123);
+
+      expect(result).toEqual(events);
+      expect(mockOctokit.rest.issues.listEventsForTimeline).toHaveBeenCalledWith({
+        per_page: 100,
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 123
+      });
+    });
+
+    test('should return null on error', async () => {
+      mockOctokit.rest.issues.listEventsForTimeline.mockRejectedValue(new Error('API Error'));
+
+      const result = await githubService.getPullRequestTimeline(123);
+
+      expect(result).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to get timeline for PR #123: API Error');
+    });
+  });
+
+  describe('listTeamMembers', () => {
+    test('should list member logins once per team', async () => {
+      mockOctokit.rest.teams.listMembersInOrg.mockResolvedValue({ data: [{ login: 'alice' }, { login: 'bob' }] });
+
+      expect(await githubService.listTeamMembers('org', 'backend')).toEqual(['alice', 'bob']);
+      expect(await githubService.listTeamMembers('Org', 'Backend')).toEqual(['alice', 'bob']);
+      expect(mockOctokit.rest.teams.listMembersInOrg).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.teams.listMembersInOrg).toHaveBeenCalledWith({
+        per_page: 100,
+        org: 'org',
+        team_slug: 'backend'
+      });
+    });
+
+    test('should return null when the team cannot be read', async () => {
+      mockOctokit.rest.teams.listMembersInOrg.mockRejectedValue(new Error('Not Found'));
+
+      expect(await githubService.listTeamMembers('org', 'secret')).toBeNull();
+      expect(await githubService.listTeamMembers('org', 'secret')).toBeNull();
+      expect(mockOctokit.rest.teams.listMembersInOrg).toHaveBeenCalledTimes(1);
+      expect(core.warning).toHaveBeenCalledWith('Failed to list members of team org/secret: Not Found');
+    });
+  });
+
+  describe('hasRecentActivity', () => {
+    const since = new Date('2026-09-01T12:00:00Z');
+
+    test('should search for PRs involving the user, once per user', async () => {
+      mockOctokit.rest.search.issuesAndPullRequests.mockResolvedValue({ data: { total_count: 0 } });
+
+      expect(await githubService.hasRecentActivity('alice', since)).toBe(false);
+      expect(await githubService.hasRecentActivity('Alice', since)).toBe(false);
+      expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.search.issuesAndPullRequests).toHaveBeenCalledWith({
+        q: 'repo:test-owner/test-repo is:pr involves:alice updated:>=2026-09-01',
+        per_page: 1
+      });
+    });
+
+    test('should count users as active when the search fails', async () => {
+      mockOctokit.rest.search.issuesAndPullRequests.mockRejectedValue(new Error('rate limited'));
+
+      expect(await githubService.hasRecentActivity('bob', since)).toBe(true);
+      expect(core.warning).toHaveBeenCalledWith('Failed to check recent activity of bob: rate limited');
+    });
+  });
+
+  describe('getRepositoryTree', () => {
+    test('should list file paths from the recursive tree', async () => {
+      mockOctokit.rest.git.getTree.mockResolvedValue({
+        data: {
+          tree: [
+            { path: 'src', type: 'tree' },
+            { path: 'src/index.js', type: 'blob' },
+            { path: 'vendor/lib', type: 'commit' }
+          ],
+          truncated: false
+        }
+      });
+
+      expect(await githubService.getRepositoryTree()).toEqual({ paths: ['src/index.js'], truncated: false });
+      expect(mockOctokit.rest.git.getTree).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        tree_sha: 'HEAD',
+        recursive: 'true'
+      });
+    });
+
+    test('should return null when the tree cannot be read', async () => {
+      mockOctokit.rest.git.getTree.mockRejectedValue(new Error('Not Found'));
+
+      expect(await githubService.getRepositoryTree()).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to list repository files: Not Found');
+    });
+  });
+
+  describe('getUserPermission', () => {
+    test('should return the permission level, or null for unknown users', async () => {
+      mockOctokit.rest.repos.getCollaboratorPermissionLevel
+        .mockResolvedValueOnce({ data: { permission: 'write' } })
+        .mockRejectedValueOnce(new Error('Not Found'));
+
+      expect(await githubService.getUserPermission('alice')).toBe('write');
+      expect(await githubService.getUserPermission('ghost')).toBeNull();
+      expect(mockOctokit.rest.repos.getCollaboratorPermissionLevel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        username: 'alice'
+      });
+    });
+  });
+
+  describe('getTeamPermissions', () => {
+    test('should return the team permissions, or null without access', async () => {
+      const permissions = { admin: false, maintain: false, push: true, triage: true, pull: true };
+      mockOctokit.rest.teams.checkPermissionsForRepoInOrg
+        .mockResolvedValueOnce({ data: { permissions } })
+        .mockRejectedValueOnce(new Error('Not Found'));
+
+      expect(await githubService.getTeamPermissions('org', 'backend')).toEqual(permissions);
+      expect(await githubService.getTeamPermissions('org', 'gone')).toBeNull();
+      expect(mockOctokit.rest.teams.checkPermissionsForRepoInOrg).toHaveBeenCalledWith(expect.objectContaining({
+        org: 'org',
+        team_slug: 'backend',
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }));
+    });
+  });
+
+  describe('getPullRequest', () => {
+    test('should return the pull request with mergeability', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { number: 123, mergeable: false, mergeable_state: 'dirty' } });
+
+      const result = await githubService.getPullRequest(123);
+
+      expect(result.mergeable_state).toBe('dirty');
+    });
+
+    test('should return null on error', async () => {
+      mockOctokit.rest.pulls.get.mockRejectedValue(new Error('API Error'));
+
+      const result = await githubService.getPullRequest(123);
+
+      expect(result).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to get PR #123: API Error');
+    });
+  });
+
+  describe('getCommitChecks', () => {
+    test('should combine check runs and commit statuses', async () => {
+      mockOctokit.rest.checks.listForRef.mockResolvedValue({
+        data: [{ name: 'build', status: 'completed', conclusion: 'failure' }]
+      });
+      mockOctokit.rest.repos.getCombinedStatusForRef.mockResolvedValue({
+        data: {
+          statuses: [
+            { context: 'ci/lint', state: 'success' },
+            { context: 'ci/deploy', state: 'pending' }
+          ]
+        }
+      });
+
+      const result = await githubService.getCommitChecks('abc123');
+
+      expect(result).toEqual([
+        { name: 'build', status: 'completed', conclusion: 'failure' },
+        { name: 'ci/lint', status: 'completed', conclusion: 'success' },
+        { name: 'ci/deploy', status: 'in_progress', conclusion: null }
+      ]);
+    });
+
+    test('should return null on error', async () => {
+      mockOctokit.rest.checks.listForRef.mockRejectedValue(new Error('API Error'));
+
+      const result = await githubService.getCommitChecks('abc123');
+
+      expect(result).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to get checks for abc123: API Error');
+    });
+  });
+
   describe('assignPullRequest', () => {
     test('should assign users to PR successfully', async () => {
       mockOctokit.rest.issues.addAssignees.mockResolvedValue();
@@ -169,6 +433,32 @@ describe('GitHubService', () => {
     });
   });
 
+  describe('requestReviewers', () => {
+    test('should request reviews from users and teams', async () => {
+      mockOctokit.rest.pulls.requestReviewers.mockResolvedValue();
+
+      const result = await githubService.requestReviewers(123, ['user1'], ['docs']);
+
+      expect(result).toBe(true);
+      expect(mockOctokit.rest.pulls.requestReviewers).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 123,
+        reviewers: ['user1'],
+        team_reviewers: ['docs']
+      });
+    });
+
+    test('should return false when the request fails', async () => {
+      mockOctokit.rest.pulls.requestReviewers.mockRejectedValue(new Error('Reviews may only be requested from collaborators'));
+
+      const result = await githubService.requestReviewers(123, ['outsider'], []);
+
+      expect(result).toBe(false);
+      expect(core.warning).toHaveBeenCalledWith('Failed to request reviews on PR #123: Reviews may only be requested from collaborators');
+    });
+  });
+
   describe('createIssue', () => {
     test('should create issue successfully', async () => {
       const mockIssue = { number: 456, html_url: 'test-url' };
@@ -187,6 +477,169 @@ describe('GitHubService', () => {
     });
   });
 
+  describe('listMergedPullRequests', () => {
+    test('should stop paging once PRs were last updated before the window', async () => {
+      const since = new Date('2026-10-01T00:00:00Z');
+      const pages = [
+        [
+          { number: 1, updated_at: '2026-10-05T00:00:00Z', merged_at: '2026-10-04T00:00:00Z' },
+          { number: 2, updated_at: '2026-10-03T00:00:00Z', merged_at: null }
+        ],
+        [
+          { number: 3, updated_at: '2026-10-02T00:00:00Z', merged_at: '2026-09-20T00:00:00Z' },
+          { number: 4, updated_at: '2026-09-25T00:00:00Z', merged_at: '2026-09-25T00:00:00Z' }
+        ],
+        [{ number: 5, updated_at: '2026-09-01T00:00:00Z', merged_at: '2026-09-01T00:00:00Z' }]
+      ];
+      const pageRequests = jest.fn();
+      mockOctokit.paginate.iterator.mockReturnValue((async function* () {
+        for (const data of pages) {
+          pageRequests();
+          yield { data, headers: {} };
+        }
+      })());
+
+      const result = await githubService.listMergedPullRequests(since);
+
+      expect(result.map(pr => pr.number)).toEqual([1]);
+      expect(pageRequests).toHaveBeenCalledTimes(2);
+      expect(mockOctokit.paginate.iterator).toHaveBeenCalledWith(mockOctokit.rest.pulls.list, expect.objectContaining({
+        state: 'closed',
+        sort: 'updated',
+        direction: 'desc'
+      }));
+    });
+  });
+
+  describe('writeFile', () => {
+    test('should update an existing file on the branch', async () => {
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockResolvedValue({ data: {} });
+
+      await githubService.writeFile('history.json', '{}', 'Record', { branch: 'data', sha: 'abc' });
+
+      expect(mockOctokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: 'history.json',
+        message: 'Record',
+        content: Buffer.from('{}').toString('base64'),
+        branch: 'data',
+        sha: 'abc'
+      });
+      expect(mockOctokit.rest.git.createRef).not.toHaveBeenCalled();
+    });
+
+    test('should create a missing branch as an orphan branch', async () => {
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockRejectedValue(
+        Object.assign(new Error('Branch data not found'), { status: 404 })
+      );
+      mockOctokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'tree-sha' } });
+      mockOctokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'commit-sha' } });
+
+      await githubService.writeFile('history.json', '{}', 'Record', { branch: 'data' });
+
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith(expect.objectContaining({
+        tree: [{ path: 'history.json', mode: '100644', type: 'blob', content: '{}' }]
+      }));
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith(expect.objectContaining({
+        tree: 'tree-sha',
+        parents: []
+      }));
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith(expect.objectContaining({
+        ref: 'refs/heads/data',
+        sha: 'commit-sha'
+      }));
+    });
+
+    test('should not retry as a new branch when an update fails', async () => {
+      mockOctokit.rest.repos.createOrUpdateFileContents.mockRejectedValue(
+        Object.assign(new Error('sha mismatch'), { status: 409 })
+      );
+
+      await expect(githubService.writeFile('history.json', '{}', 'Record', { branch: 'data', sha: 'abc' }))
+        .rejects.toThrow('sha mismatch');
+      expect(mockOctokit.rest.git.createTree).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findOpenIssue', () => {
+    test('should find the open issue carrying the marker', async () => {
+      mockOctokit.rest.issues.listForRepo.mockResolvedValue({
+        data: [
+          { number: 1, body: 'unrelated' },
+          { number: 2, body: '<!-- marker -->', pull_request: {} },
+          { number: 3, body: 'report <!-- marker -->' }
+        ]
+      });
+
+      const result = await githubService.findOpenIssue(['pr-monitor', 'automated'], '<!-- marker -->');
+
+      expect(result.number).toBe(3);
+      expect(mockOctokit.rest.issues.listForRepo).toHaveBeenCalledWith(expect.objectContaining({
+        state: 'open',
+        labels: 'pr-monitor,automated'
+      }));
+    });
+
+    test('should return null when the search fails', async () => {
+      mockOctokit.rest.issues.listForRepo.mockRejectedValue(new Error('boom'));
+
+      const result = await githubService.findOpenIssue([], '<!-- marker -->');
+
+      expect(result).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith('Failed to search for existing report issue: boom');
+    });
+  });
+
+  describe('updateIssue', () => {
+    test('should update the given fields', async () => {
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: { number: 7 } });
+
+      await githubService.updateIssue(7, { state: 'closed' });
+
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 7,
+        state: 'closed'
+      });
+    });
+  });
+
+  describe('dry-run', () => {
+    const dryRun = require('../dry-run');
+
+    afterEach(() => {
+      dryRun.configure(false);
+    });
+
+    test('should record writes instead of calling the API', async () => {
+      dryRun.configure(true);
+
+      await githubService.assignPullRequest(3, ['alice']);
+      await githubService.requestReviewers(3, ['bob'], ['docs']);
+      await githubService.createComment(3, 'Ping');
+      const issue = await githubService.createIssue('Report', 'Body', ['pr-monitor']);
+      await githubService.updateIssue(9, { state: 'closed' });
+
+      expect(mockOctokit.rest.issues.addAssignees).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.pulls.requestReviewers).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(issue.title).toBe('Report');
+      expect(dryRun.getPlannedActions()).toEqual([
+        { type: 'assign-pull-request', pull_number: 3, assignees: ['alice'] },
+        { type: 'request-reviewers', pull_number: 3, reviewers: ['bob'], team_reviewers: ['docs'] },
+        { type: 'create-comment', issue_number: 3, body: 'Ping' },
+        { type: 'create-issue', title: 'Report', body: 'Body', labels: ['pr-monitor'] },
+        { type: 'update-issue', issue_number: 9, state: 'closed' }
+      ]);
+      expect(core.info).toHaveBeenCalledWith('🧪 [dry-run] Would assign alice to PR #3');
+      expect(core.info).toHaveBeenCalledWith('🧪 [dry-run] Would request reviews from bob, team docs on PR #3');
+    });
+  });
+
   describe('commentOnPRs', () => {
     test('should comment on PRs without recent bot comments', async () => {
       const mockPRs = [{
@@ -210,6 +663,26 @@ describe('GitHubService', () => {
       expect(core.info).toHaveBeenCalledWith('💬 Commenting on PR #123 with message: Test comment for 5 days');
     });
 
+    test('should render template placeholders from the PR', async () => {
+      const mockPRs = [{
+        number: 124,
+        title: 'Add cache',
+        author: 'test-user',
+        assignees: [{ login: 'alice' }],
+        requested_reviewers: [],
+        daysSinceUpdate: 9,
+        reviewStatus: 'approved'
+      }];
+
+      mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] });
+
+      await githubService.commentOnPRs(mockPRs, '"{{title}}" idle {{days}}d{{#reviewStatus}} ({{.}}){{/reviewStatus}}. cc {{assignees}}');
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+        body: '"Add cache" idle 9d (approved). cc @alice'
+      }));
+    });
+
     test('should skip PRs with recent bot comments', async () => {
       const mockPRs = [{
         number: 123,
@@ -234,6 +707,172 @@ describe('GitHubService', () => {
       expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
       expect(core.debug).toHaveBeenCalledWith('  ⏭️  Skipped PR #123 (already commented recently)');
     });
+
+    test('should mark comments and recognize earlier marked ones', async () => {
+      const mockPRs = [125, 126].map(number => ({ number, author: 'test-user', assignees: [], requested_reviewers: [] }));
+      mockOctokit.rest.issues.listComments.mockImplementation(async ({ issue_number: number }) => ({
+        data: number === 126
+          ? [{ user: { type: 'Bot' }, body: 'Old wording\n\n<!-- pr-status-monitor:author-idle -->', created_at: new Date().toISOString() }]
+          : [{ user: { type: 'Bot' }, body: 'This PR has been inactive for a while.', created_at: new Date().toISOString() }]
+      }));
+
+      await githubService.commentOnPRs(mockPRs, 'Over to you @{{author}}', 7, 'author-idle');
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+        issue_number: 125,
+        body: 'Over to you @test-user\n\n<!-- pr-status-monitor:author-idle -->'
+      }));
+    });
+
+    test('should find earlier reminders by marker when the template is overridden', async () => {
+      const mockPRs = [{ number: 127, author: 'test-user', assignees: [], requested_reviewers: [], daysSinceUpdate: 9 }];
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ user: { type: 'Bot' }, body: 'Nudge: idle 8 days\n\n<!-- pr-status-monitor:stalled -->', created_at: new Date().toISOString() }]
+      });
+
+      await githubService.commentOnPRs(mockPRs, 'Nudge: idle {{days}} days', 7, 'stalled');
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+
+      await githubService.commentOnPRs(mockPRs, 'Nudge: idle {{days}} days', 7, 'needs-review');
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+        issue_number: 127,
+        body: 'Nudge: idle 9 days\n\n<!-- pr-status-monitor:needs-review -->'
+      }));
+    });
+  });
+
+  describe('fetchPullRequestSnapshot', () => {
+    const prNode = (overrides = {}) => ({
+      number: 42,
+      title: 'Snapshot PR',
+      url: 'https://github.com/test/pr/42',
+      isDraft: false,
+      createdAt: '2024-01-01T00:00:00Z',
+      updatedAt: '2024-01-02T00:00:00Z',
+      mergeable: 'CONFLICTING',
+      mergeStateStatus: 'DIRTY',
+      headRefOid: 'abc123',
+      headRefName: 'feature',
+      baseRefName: 'main',
+      author: { login: 'author' },
+      assignees: { nodes: [{ login: 'assignee' }] },
+      labels: { nodes: [{ name: 'blocked' }] },
+      reviewRequests: {
+        nodes: [
+          { requestedReviewer: { __typename: 'User', login: 'reviewer' } },
+          { requestedReviewer: { __typename: 'Team', slug: 'backend' } }
+        ]
+      },
+      reviews: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: [{ databaseId: 1, state: 'APPROVED', submittedAt: '2024-01-02T00:00:00Z', author: { login: 'reviewer' }, commit: { oid: 'abc123' } }]
+      },
+      files: {
+        pageInfo: { hasNextPage: false, endCursor: null },
+        nodes: [{ path: 'src/index.js' }]
+      },
+      commits: {
+        nodes: [{
+          commit: {
+            statusCheckRollup: {
+              state: 'FAILURE',
+              contexts: {
+                nodes: [
+                  { __typename: 'CheckRun', name: 'build', status: 'COMPLETED', conclusion: 'FAILURE' },
+                  { __typename: 'StatusContext', context: 'ci/lint', state: 'PENDING' }
+                ]
+              }
+            }
+          }
+        }]
+      },
+      ...overrides
+    });
+
+    test('should normalize pull requests to the REST shape', async () => {
+      mockOctokit.graphql.mockResolvedValue({
+        repository: {
+          pullRequests: {
+            pageInfo: { hasNextPage: false, endCursor: null },
+            nodes: [prNode()]
+          }
+        }
+      });
+
+      const [pr] = await githubService.fetchPullRequestSnapshot();
+
+      expect(pr).toEqual(expect.objectContaining({
+        number: 42,
+        html_url: 'https://github.com/test/pr/42',
+        draft: false,
+        user: { login: 'author' },
+        head: { sha: 'abc123', ref: 'feature' },
+        base: { ref: 'main' },
+        mergeable: false,
+        mergeable_state: 'dirty',
+        assignees: [{ login: 'assignee' }],
+        labels: [{ name: 'blocked' }],
+        requested_reviewers: [{ login: 'reviewer' }],
+        requested_teams: [{ slug: 'backend' }],
+        files: [{ filename: 'src/index.js' }]
+      }));
+      expect(pr.reviews).toEqual([{
+        id: 1,
+        user: { login: 'reviewer' },
+        state: 'APPROVED',
+        submitted_at: '2024-01-02T00:00:00Z',
+        commit_id: 'abc123'
+      }]);
+      expect(pr.checks).toEqual([
+        { name: 'build', status: 'completed', conclusion: 'failure' },
+        { name: 'ci/lint', status: 'in_progress', conclusion: null }
+      ]);
+    });
+
+    test('should follow pull request and nested connection pages', async () => {
+      mockOctokit.graphql
+        .mockResolvedValueOnce({
+          repository: {
+            pullRequests: {
+              pageInfo: { hasNextPage: true, endCursor: 'page1' },
+              nodes: [prNode({
+                files: { pageInfo: { hasNextPage: true, endCursor: 'files1' }, nodes: [{ path: 'a.js' }] }
+              })]
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          repository: {
+            pullRequest: {
+              files: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [{ path: 'b.js' }] }
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          repository: {
+            pullRequests: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: [prNode({ number: 43 })]
+            }
+          }
+        });
+
+      const result = await githubService.fetchPullRequestSnapshot();
+
+      expect(result.map(pr => pr.number)).toEqual([42, 43]);
+      expect(result[0].files).toEqual([{ filename: 'a.js' }, { filename: 'b.js' }]);
+      expect(mockOctokit.graphql).toHaveBeenCalledTimes(3);
+      expect(mockOctokit.graphql.mock.calls[1][1]).toEqual(expect.objectContaining({ number: 42, cursor: 'files1' }));
+      expect(mockOctokit.graphql.mock.calls[2][1]).toEqual(expect.objectContaining({ cursor: 'page1' }));
+    });
+
+    test('should throw error when the query fails', async () => {
+      mockOctokit.graphql.mockRejectedValue(new Error('GraphQL Error'));
+
+      await expect(githubService.fetchPullRequestSnapshot()).rejects.toThrow('GraphQL Error');
+      expect(core.error).toHaveBeenCalledWith('Failed to fetch pull request snapshot: GraphQL Error');
+    });
   });
 
   describe('getContext', () => {
@@ -246,6 +885,7 @@ describe('GitHubService', () => {
       });
       expect(core.getInput).toHaveBeenCalledWith('github-token', { required: true });
       expect(github.getOctokit).toHaveBeenCalledWith('fake-token');
+      expect(mockOctokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
     });
   });
 });
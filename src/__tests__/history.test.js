@@ -0,0 +1,78 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../github-service');
+
+const githubService = require('../github-service');
+const { diffCategories, computeTrend, loadHistory, saveHistory } = require('../history');
+
+function encode(history) {
+  return { content: Buffer.from(JSON.stringify(history)).toString('base64'), sha: 'sha-1' };
+}
+
+describe('History', () => {
+  const settings = { branch: 'pr-monitor-history', path: 'history.json', maxSnapshots: 2 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    core.debug = jest.fn();
+    core.warning = jest.fn();
+    githubService.getContent.mockResolvedValue(null);
+    githubService.writeFile.mockResolvedValue(undefined);
+  });
+
+  test('should diff PR numbers per category', () => {
+    expect(diffCategories({ stalled: [1, 2], old: [5] }, { stalled: [2, 3], blocked: [4] })).toEqual([
+      { category: 'stalled', added: [3], removed: [1] },
+      { category: 'blocked', added: [4], removed: [] },
+      { category: 'old', added: [], removed: [5] }
+    ]);
+  });
+
+  test('should compute deltas only for categories in both runs', () => {
+    const previous = { at: '2026-10-12T08:00:00Z', categories: { stalled: [1, 2], old: [5] } };
+
+    expect(computeTrend(previous, { stalled: [2, 3, 4], old: [5], custom: [9] })).toEqual({
+      stalled: { previous: 2, delta: 1, entered: [3, 4], left: [1] },
+      old: { previous: 1, delta: 0, entered: [], left: [] }
+    });
+    expect(computeTrend(null, { stalled: [1] })).toEqual({});
+  });
+
+  test('should load snapshots from the data branch', async () => {
+    githubService.getContent.mockResolvedValue(encode({ version: 1, snapshots: [{ at: 'a' }] }));
+
+    const history = await loadHistory(settings);
+
+    expect(githubService.getContent).toHaveBeenCalledWith('history.json', 'pr-monitor-history');
+    expect(history).toEqual({ snapshots: [{ at: 'a' }], sha: 'sha-1' });
+  });
+
+  test('should start fresh when the history is missing or unreadable', async () => {
+    expect(await loadHistory(settings)).toEqual({ snapshots: [], sha: null });
+
+    githubService.getContent.mockResolvedValue({ content: Buffer.from('{oops').toString('base64'), sha: 'sha-2' });
+
+    expect(await loadHistory(settings)).toEqual({ snapshots: [], sha: 'sha-2' });
+    expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable history'));
+  });
+
+  test('should append the snapshot and keep the newest max-snapshots', async () => {
+    await saveHistory(settings, { snapshots: [{ at: 'a' }, { at: 'b' }], sha: 'sha-1' }, { at: 'c' });
+
+    const [path, content, message, options] = githubService.writeFile.mock.calls[0];
+    expect(path).toBe('history.json');
+    expect(JSON.parse(content)).toEqual({ version: 1, snapshots: [{ at: 'b' }, { at: 'c' }] });
+    expect(message).toBe('Record PR status snapshot c');
+    expect(options).toEqual({ branch: 'pr-monitor-history', sha: 'sha-1' });
+  });
+
+  test('should warn instead of failing when the history cannot be written', async () => {
+    githubService.writeFile.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+    await saveHistory(settings, { snapshots: [], sha: null }, { at: 'a' });
+
+    expect(core.warning).toHaveBeenCalledWith('Failed to record history: Resource not accessible by integration');
+  });
+});
@@ -20,19 +20,32 @@ const mockInputs = {
   'comment-message': 'This PR has been inactive for {days} days',
   'slack-webhook': '',
   'teams-webhook': '',
-  'ignore-drafts': 'false'
+  'ignore-drafts': 'false',
+  'auto-assign-codeowners': 'false',
+  'job-summary': 'false'
 };
 const mockGithubService = {
   listPullRequests: jest.fn(),
+  fetchPullRequestSnapshot: jest.fn(),
   getPullRequestReviews: jest.fn(),
+  getPullRequest: jest.fn(),
+  getPullRequestFiles: jest.fn().mockResolvedValue([]),
+  getPullRequestTimeline: jest.fn(),
+  getCommitChecks: jest.fn().mockResolvedValue([]),
   createIssue: jest.fn(),
-  commentOnPRs: jest.fn()
+  commentOnPRs: jest.fn(),
+  listMergedPullRequests: jest.fn().mockResolvedValue([]),
+  getContent: jest.fn().mockResolvedValue(null),
+  writeFile: jest.fn(),
+  getTruncationWarnings: jest.fn().mockReturnValue([]),
+  getRateLimit: jest.fn().mockReturnValue({ limit: null, remaining: null, reset: null })
 };
 
 const mockCodeowners = {
   loadCodeowners: jest.fn().mockResolvedValue(null),
   getPRCodeowners: jest.fn().mockResolvedValue([]),
-  assignPRToOwners: jest.fn().mockResolvedValue(false)
+  assignPRToOwners: jest.fn().mockResolvedValue(false),
+  requestOwnerReviews: jest.fn().mockResolvedValue(true)
 };
 
 describe('PR Status Monitor Action', () => {
@@ -55,15 +68,26 @@ describe('PR Status Monitor Action', () => {
 
     // Mock github-service functions
     require('../github-service').listPullRequests = mockGithubService.listPullRequests;
+    require('../github-service').fetchPullRequestSnapshot = mockGithubService.fetchPullRequestSnapshot;
     require('../github-service').getPullRequestReviews = mockGithubService.getPullRequestReviews;
+    require('../github-service').getPullRequest = mockGithubService.getPullRequest;
+    require('../github-service').getPullRequestFiles = mockGithubService.getPullRequestFiles;
+    require('../github-service').getPullRequestTimeline = mockGithubService.getPullRequestTimeline;
+    require('../github-service').getCommitChecks = mockGithubService.getCommitChecks;
     require('../github-service').createIssue = mockGithubService.createIssue;
     require('../github-service').commentOnPRs = mockGithubService.commentOnPRs;
+    require('../github-service').listMergedPullRequests = mockGithubService.listMergedPullRequests;
+    require('../github-service').getContent = mockGithubService.getContent;
+    require('../github-service').writeFile = mockGithubService.writeFile;
+    require('../github-service').getTruncationWarnings = mockGithubService.getTruncationWarnings;
+    require('../github-service').getRateLimit = mockGithubService.getRateLimit;
 
     // Mock codeowners functions
 
     require('../codeowners').loadCodeowners = mockCodeowners.loadCodeowners;
     require('../codeowners').getPRCodeowners = mockCodeowners.getPRCodeowners;
     require('../codeowners').assignPRToOwners = mockCodeowners.assignPRToOwners;
+    require('../codeowners').requestOwnerReviews = mockCodeowners.requestOwnerReviews;
   });
 
   afterEach(() => {
@@ -217,6 +241,189 @@ describe('PR Status Monitor Action', () => {
     });
   });
 
+  describe('CI Status and Conflicts', () => {
+    const healthyPR = {
+      number: 40,
+      title: 'PR with CI',
+      user: { login: 'test-user' },
+      html_url: 'https://github.com/test/pr/40',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      draft: false,
+      head: { sha: 'abc123' },
+      assignees: [{ login: 'assignee' }],
+      requested_reviewers: [],
+      labels: []
+    };
+
+    beforeEach(() => {
+      mockInputs['check-status-and-conflicts'] = 'true';
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      delete mockInputs['check-status-and-conflicts'];
+    });
+
+    test('should detect PRs with failing checks', async () => {
+      mockGithubService.listPullRequests.mockResolvedValue([healthyPR]);
+      mockGithubService.getPullRequest.mockResolvedValue({ mergeable: true, mergeable_state: 'unstable' });
+      mockGithubService.getCommitChecks.mockResolvedValue([
+        { name: 'build', status: 'completed', conclusion: 'failure' },
+        { name: 'lint', status: 'completed', conclusion: 'success' },
+        { name: 'ci/deploy', status: 'completed', conclusion: 'error' }
+      ]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(mockGithubService.getCommitChecks).toHaveBeenCalledWith('abc123');
+      expect(core.setOutput).toHaveBeenCalledWith('failing-checks-count', 1);
+      expect(core.setOutput).toHaveBeenCalledWith('conflicted-count', 0);
+
+      const report = core.setOutput.mock.calls.find(call => call[0] === 'report')[1];
+      expect(report).toContain('PRs With Failing Checks');
+      expect(report).toContain('Failing: `build, ci/deploy`');
+    });
+
+    test('should detect PRs with merge conflicts', async () => {
+      mockGithubService.listPullRequests.mockResolvedValue([healthyPR]);
+      mockGithubService.getPullRequest.mockResolvedValue({ mergeable: false, mergeable_state: 'dirty' });
+      mockGithubService.getCommitChecks.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('conflicted-count', 1);
+      expect(core.setOutput).toHaveBeenCalledWith('total-issues', 1);
+    });
+
+    test('should use checks and mergeability from the GraphQL snapshot', async () => {
+      mockInputs['data-source'] = 'graphql';
+      mockGithubService.fetchPullRequestSnapshot.mockResolvedValue([{
+        ...healthyPR,
+        reviews: [],
+        mergeable: false,
+        mergeable_state: 'dirty',
+        checks: [{ name: 'build', status: 'completed', conclusion: 'timed_out' }]
+      }]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(mockGithubService.getPullRequest).not.toHaveBeenCalled();
+      expect(mockGithubService.getCommitChecks).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('failing-checks-count', 1);
+      expect(core.setOutput).toHaveBeenCalledWith('conflicted-count', 1);
+
+      delete mockInputs['data-source'];
+    });
+  });
+
+  describe('GraphQL Data Source', () => {
+    test('should analyze the GraphQL snapshot without per-PR review requests', async () => {
+      mockInputs['data-source'] = 'graphql';
+
+      const stalledDate = new Date();
+      stalledDate.setDate(stalledDate.getDate() - 10);
+
+      mockGithubService.fetchPullRequestSnapshot.mockResolvedValue([{
+          number: 30,
+          title: 'Snapshot PR',
+          user: { login: 'test-user' },
+          html_url: 'https://github.com/test/pr/30',
+          created_at: stalledDate.toISOString(),
+          updated_at: stalledDate.toISOString(),
+          draft: false,
+          assignees: [{ login: 'assignee' }],
+          requested_reviewers: [],
+          labels: [],
+          head: { sha: 'sha30' },
+          reviews: [{ state: 'APPROVED' }],
+          files: [{ filename: 'src/index.js' }],
+          checks: []
+        }]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(mockGithubService.fetchPullRequestSnapshot).toHaveBeenCalled();
+      expect(mockGithubService.listPullRequests).not.toHaveBeenCalled();
+      expect(mockGithubService.getPullRequestReviews).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('stalled-count', 1);
+      expect(core.setOutput).toHaveBeenCalledWith('needs-review-count', 0);
+
+      delete mockInputs['data-source'];
+    });
+  });
+
+  describe('Timeline Activity', () => {
+    afterEach(() => {
+      delete mockInputs['activity-source'];
+    });
+
+    test('should not let bot comments reset the stall clock', async () => {
+      mockInputs['activity-source'] = 'timeline';
+
+      const stalledDate = new Date();
+      stalledDate.setDate(stalledDate.getDate() - 10);
+
+      mockGithubService.listPullRequests.mockResolvedValue([{
+          number: 60,
+          title: 'PR with only bot activity',
+          user: { login: 'test-user' },
+          html_url: 'https://github.com/test/pr/60',
+          created_at: stalledDate.toISOString(),
+          updated_at: new Date().toISOString(),
+          draft: false,
+          assignees: [{ login: 'assignee' }],
+          requested_reviewers: [],
+          labels: []
+        }]);
+      mockGithubService.getPullRequestTimeline.mockResolvedValue([
+        { event: 'commented', actor: { login: 'github-actions[bot]', type: 'Bot' }, created_at: new Date().toISOString() }
+      ]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(mockGithubService.getPullRequestTimeline).toHaveBeenCalledWith(60);
+      expect(core.setOutput).toHaveBeenCalledWith('stalled-count', 1);
+    });
+  });
+
+  describe('Business Days', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+      delete mockInputs['business-days'];
+    });
+
+    test('should not flag a PR opened on Friday as needing review on Monday', async () => {
+      mockInputs['business-days'] = 'true';
+      jest.useFakeTimers({ now: new Date('2026-03-09T09:00:00Z') });
+
+      mockGithubService.listPullRequests.mockResolvedValue([{
+          number: 50,
+          title: 'Friday PR',
+          user: { login: 'test-user' },
+          html_url: 'https://github.com/test/pr/50',
+          created_at: '2026-03-06T16:00:00Z',
+          updated_at: '2026-03-06T16:00:00Z',
+          draft: false,
+          assignees: [{ login: 'assignee' }],
+          requested_reviewers: [],
+          labels: []
+        }]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('needs-review-count', 0);
+    });
+  });
+
   describe('Review Status Detection', () => {
     test('should detect approved PRs', async () => {
       const stalledDate = new Date();
@@ -232,7 +439,8 @@ describe('PR Status Monitor Action', () => {
           draft: false,
           assignees: [],
           requested_reviewers: [],
-          labels: []
+          labels: [],
+          head: { sha: 'sha7' }
         }]);
 
       mockGithubService.getPullRequestReviews.mockResolvedValue([{ state: 'APPROVED' }]);
@@ -339,6 +547,60 @@ describe('PR Status Monitor Action', () => {
       expect(mockGithubService.commentOnPRs).toHaveBeenCalled();
     });
 
+    test('should ping authors of approved PRs and of PRs with unanswered change requests', async () => {
+      mockInputs['auto-comment'] = 'true';
+      const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const makeReviewedPR = number => ({
+        number,
+        title: `PR ${number}`,
+        user: { login: 'author' },
+        html_url: `https://github.com/test/pr/${number}`,
+        created_at: daysAgo(20),
+        updated_at: daysAgo(1),
+        draft: false,
+        assignees: [{ login: 'assignee1' }],
+        requested_reviewers: [],
+        labels: [],
+        head: { sha: `sha${number}` }
+      });
+
+      mockGithubService.listPullRequests.mockResolvedValue([makeReviewedPR(80), makeReviewedPR(81)]);
+      mockGithubService.getPullRequestTimeline.mockResolvedValue([
+        { event: 'commented', actor: { login: 'reviewer', type: 'User' }, created_at: daysAgo(1) }
+      ]);
+      const reviewedAt = daysAgo(9);
+      mockGithubService.getPullRequestReviews.mockImplementation(async number => [{
+        user: { login: 'reviewer' },
+        state: number === 80 ? 'APPROVED' : 'CHANGES_REQUESTED',
+        commit_id: `sha${number}`,
+        submitted_at: reviewedAt
+      }]);
+      mockGithubService.getCommitChecks.mockResolvedValue([{ name: 'build', status: 'completed', conclusion: 'success' }]);
+
+      const { run } = require('../index');
+      await run();
+
+      mockGithubService.getCommitChecks.mockResolvedValue([]);
+      delete mockInputs['auto-comment'];
+      mockGithubService.getPullRequestTimeline.mockReset();
+      mockGithubService.getPullRequestReviews.mockReset();
+
+      expect(core.setOutput).toHaveBeenCalledWith('approved-unmerged-count', 1);
+      expect(core.setOutput).toHaveBeenCalledWith('author-idle-count', 1);
+      expect(mockGithubService.commentOnPRs).toHaveBeenCalledWith(
+        [expect.objectContaining({ number: 80, daysSinceApproval: 9 })],
+        expect.stringContaining('approved {{daysSinceApproval}} days ago'),
+        7,
+        'approved-unmerged'
+      );
+      expect(mockGithubService.commentOnPRs).toHaveBeenCalledWith(
+        [expect.objectContaining({ number: 81, daysSinceChangesRequested: 9 })],
+        expect.stringContaining('requested on this PR {{daysSinceChangesRequested}} days ago'),
+        7,
+        'author-idle'
+      );
+    });
+
     test('should not comment if recent bot comment exists', async () => {
       mockInputs['auto-comment'] = 'true';
 
@@ -393,9 +655,12 @@ describe('PR Status Monitor Action', () => {
       const { run } = require('../index');
       await run();
 
+      // The marker, not the overridden wording, finds earlier reminders
       expect(mockGithubService.commentOnPRs).toHaveBeenCalledWith(
         expect.any(Array),
-        expect.stringContaining('Inactive for')
+        expect.stringContaining('Inactive for'),
+        7,
+        'stalled'
       );
     });
 
@@ -509,6 +774,253 @@ describe('PR Status Monitor Action', () => {
     });
   });
 
+  describe('Code Owner Review Requests', () => {
+    function makeOwnedPR(number, base, overrides = {}) {
+      return {
+        number,
+        title: `PR ${number}`,
+        user: { login: 'carol' },
+        html_url: `https://github.com/test/pr/${number}`,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        draft: false,
+        assignees: [],
+        requested_reviewers: [],
+        labels: [],
+        base: { ref: base },
+        ...overrides
+      };
+    }
+
+    test('should request reviews from code owners on PRs nobody was asked to review', async () => {
+      mockInputs['request-codeowner-reviews'] = 'true';
+      mockCodeowners.loadCodeowners.mockResolvedValue([{ pattern: '*', owners: ['alice', 'org/docs'] }]);
+      mockCodeowners.getPRCodeowners.mockImplementation(async (number, rules) => rules[0].owners);
+
+      mockGithubService.listPullRequests.mockResolvedValue([
+        makeOwnedPR(50, 'main'),
+        makeOwnedPR(51, 'main', { requested_reviewers: [{ login: 'bob' }] })
+      ]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['request-codeowner-reviews'];
+      mockCodeowners.loadCodeowners.mockResolvedValue(null);
+      mockCodeowners.getPRCodeowners.mockResolvedValue([]);
+
+      expect(mockCodeowners.requestOwnerReviews).toHaveBeenCalledWith(50, ['alice', 'org/docs']);
+      expect(mockCodeowners.requestOwnerReviews).not.toHaveBeenCalledWith(51, expect.anything());
+      expect(core.info).toHaveBeenCalledWith('  ✅ Requested reviews on PR #50 from: alice, org/docs');
+    });
+
+    test('should resolve owners against the CODEOWNERS of each PR base branch', async () => {
+      mockInputs['request-codeowner-reviews'] = 'true';
+      mockCodeowners.loadCodeowners.mockImplementation(async branch => (branch === 'release/1.x'
+        ? [{ pattern: '*', owners: ['release-manager'] }]
+        : [{ pattern: '*', owners: ['alice'] }]));
+      mockCodeowners.getPRCodeowners.mockImplementation(async (number, rules) => rules[0].owners);
+
+      mockGithubService.listPullRequests.mockResolvedValue([
+        makeOwnedPR(60, 'main'),
+        makeOwnedPR(61, 'release/1.x'),
+        makeOwnedPR(62, 'main')
+      ]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['request-codeowner-reviews'];
+      mockCodeowners.loadCodeowners.mockResolvedValue(null);
+      mockCodeowners.getPRCodeowners.mockResolvedValue([]);
+
+      expect(mockCodeowners.requestOwnerReviews).toHaveBeenCalledWith(60, ['alice']);
+      expect(mockCodeowners.requestOwnerReviews).toHaveBeenCalledWith(61, ['release-manager']);
+      expect(mockCodeowners.requestOwnerReviews).toHaveBeenCalledWith(62, ['alice']);
+      expect(mockCodeowners.loadCodeowners).toHaveBeenCalledWith('release/1.x');
+      expect(core.info).toHaveBeenCalledWith('📋 Loaded CODEOWNERS for release/1.x with 1 rules');
+    });
+
+    test('should report PRs waiting on code-owner approval', async () => {
+      mockInputs['check-codeowner-approval'] = 'true';
+      const rules = [{ pattern: '/docs/', owners: ['org/docs'] }];
+      const files = [{ filename: 'docs/guide.md' }];
+      const pending = [{ pattern: '/docs/', owners: ['org/docs'], files: ['docs/guide.md'] }];
+      const codeowners = require('../codeowners');
+      mockCodeowners.loadCodeowners.mockResolvedValue(rules);
+      codeowners.groupFilesByOwner = jest.fn().mockReturnValue(pending);
+      codeowners.findUnapprovedGroups = jest.fn().mockResolvedValue(pending);
+      mockGithubService.getPullRequestFiles.mockResolvedValue(files);
+
+      mockGithubService.listPullRequests.mockResolvedValue([makeOwnedPR(70, 'main', { assignees: [{ login: 'alice' }] })]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['check-codeowner-approval'];
+      mockCodeowners.loadCodeowners.mockResolvedValue(null);
+      mockGithubService.getPullRequestFiles.mockResolvedValue([]);
+
+      expect(codeowners.groupFilesByOwner).toHaveBeenCalledWith(files, rules);
+      expect(core.setOutput).toHaveBeenCalledWith('codeowner-approval-count', 1);
+      const report = core.setOutput.mock.calls.find(call => call[0] === 'report')[1];
+      expect(report).toContain('## 🔏 PRs Waiting on Code-Owner Approval');
+      expect(report).toContain('  - `/docs/` (1 files): @org/docs');
+    });
+  });
+
+  describe('People Breakdown', () => {
+    test('should group flagged PRs by author and review requests by reviewer', async () => {
+      mockInputs['group-by-person'] = 'true';
+      const stalledDate = new Date();
+      stalledDate.setDate(stalledDate.getDate() - 10);
+
+      mockGithubService.listPullRequests.mockResolvedValue([{
+          number: 40,
+          title: 'Stalled PR',
+          user: { login: 'alice' },
+          html_url: 'https://github.com/test/pr/40',
+          created_at: stalledDate.toISOString(),
+          updated_at: stalledDate.toISOString(),
+          draft: false,
+          assignees: [{ login: 'alice' }],
+          requested_reviewers: [{ login: 'bob' }],
+          labels: []
+        }]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['group-by-person'];
+
+      const report = core.setOutput.mock.calls.find(call => call[0] === 'report')[1];
+      expect(report).toContain('## 👥 Outstanding Work by Person');
+      expect(report).toContain('- **@alice** (1)\n  - [#40](https://github.com/test/pr/40) Stalled PR - Stalled PRs, PRs awaiting review');
+      expect(report).toContain('- **@bob** (1)\n  - [#40](https://github.com/test/pr/40) Stalled PR by @alice | Open for **10 days**');
+    });
+  });
+
+  describe('Flow Metrics', () => {
+    test('should report and output review flow metrics for merged PRs', async () => {
+      mockInputs['flow-metrics'] = 'true';
+      const created = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000);
+      const hoursLater = hours => new Date(created.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+      mockGithubService.listPullRequests.mockResolvedValue([]);
+      mockGithubService.listMergedPullRequests.mockResolvedValue([{
+        number: 30,
+        user: { login: 'author' },
+        created_at: created.toISOString(),
+        updated_at: hoursLater(72),
+        merged_at: hoursLater(72)
+      }]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([
+        { user: { login: 'reviewer', type: 'User' }, state: 'APPROVED', submitted_at: hoursLater(3) }
+      ]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['flow-metrics'];
+
+      expect(core.setOutput).toHaveBeenCalledWith('time-to-first-review-median-hours', 3);
+      expect(core.setOutput).toHaveBeenCalledWith('cycle-time-p90-hours', 72);
+      const report = core.setOutput.mock.calls.find(call => call[0] === 'report')[1];
+      expect(report).toContain('## ⏱️ Review Flow Metrics');
+      expect(report).toContain('_1 PRs merged in the last 30 days_');
+      expect(report).toContain('| Time to first review | 3h | 3h | 1 |');
+      expect(report).toContain('| Cycle time (open to merge) | 3d | 3d | 1 |');
+    });
+  });
+
+  describe('History', () => {
+    test('should report trends against the previous run and record a snapshot', async () => {
+      mockInputs['track-history'] = 'true';
+      const history = {
+        version: 1,
+        snapshots: [{ at: '2026-10-12T08:00:00.000Z', totalIssues: 2, categories: { stalled: [1, 2], blocked: [] } }]
+      };
+      mockGithubService.getContent.mockImplementation(async (path) => (path === 'history.json'
+        ? { content: Buffer.from(JSON.stringify(history)).toString('base64'), sha: 'abc' }
+        : null));
+
+      const stalledDate = new Date();
+      stalledDate.setDate(stalledDate.getDate() - 10);
+      mockGithubService.listPullRequests.mockResolvedValue([2, 3, 4].map(number => ({
+        number,
+        title: `PR ${number}`,
+        user: { login: 'test-user' },
+        html_url: `https://github.com/test/pr/${number}`,
+        created_at: stalledDate.toISOString(),
+        updated_at: stalledDate.toISOString(),
+        draft: false,
+        assignees: [{ login: 'someone' }],
+        requested_reviewers: [],
+        labels: [],
+        head: { sha: `sha${number}` }
+      })));
+      mockGithubService.getPullRequestReviews.mockResolvedValue([{ state: 'APPROVED' }]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['track-history'];
+      mockGithubService.getContent.mockReset().mockResolvedValue(null);
+
+      const report = core.setOutput.mock.calls.find(call => call[0] === 'report')[1];
+      expect(report).toContain('- 🔴 **3** stalled PRs (+1 since last run)');
+      expect(report).toContain('- 🚫 **0** blocked PRs (±0 since last run)');
+      expect(report).toContain('_Compared with the run at 2026-10-12T08:00:00.000Z_');
+      expect(report).toContain('- **Stalled PRs**: entered #3, #4; left #1');
+
+      const [path, content, , options] = mockGithubService.writeFile.mock.calls[0];
+      expect(path).toBe('history.json');
+      expect(options).toEqual({ branch: 'pr-monitor-history', sha: 'abc' });
+      const saved = JSON.parse(content);
+      expect(saved.snapshots).toHaveLength(2);
+      expect(saved.snapshots[1].categories.stalled).toEqual([2, 3, 4]);
+    });
+  });
+
+  describe('Dry Run', () => {
+    test('should record webhook posts instead of sending them', async () => {
+      mockInputs['dry-run'] = 'true';
+      mockInputs['slack-webhook'] = 'https://hooks.slack.com/test';
+
+      const stalledDate = new Date();
+      stalledDate.setDate(stalledDate.getDate() - 10);
+
+      mockGithubService.listPullRequests.mockResolvedValue([{
+          number: 15,
+          title: 'Stalled PR',
+          user: { login: 'test-user' },
+          html_url: 'https://github.com/test/pr/15',
+          created_at: stalledDate.toISOString(),
+          updated_at: stalledDate.toISOString(),
+          draft: false,
+          assignees: [],
+          requested_reviewers: [],
+          labels: []
+        }]);
+      mockGithubService.getPullRequestReviews.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      delete mockInputs['dry-run'];
+      mockInputs['slack-webhook'] = '';
+
+      expect(axios.post).not.toHaveBeenCalled();
+      const planned = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'planned-actions')[1]);
+      expect(planned).toContainEqual(expect.objectContaining({ type: 'post-webhook', channel: 'slack' }));
+      expect(JSON.stringify(planned)).not.toContain('hooks.slack.com');
+    });
+  });
+
   describe('Report Generation', () => {
     test('should generate report with all sections', async () => {
       const stalledDate = new Date();
@@ -543,6 +1055,68 @@ describe('PR Status Monitor Action', () => {
       expect(report).toContain('Long-Running PRs');
     });
 
+    test('should output the report as JSON', async () => {
+      const stalledDate = new Date();
+      stalledDate.setDate(stalledDate.getDate() - 10);
+
+      mockGithubService.listPullRequests.mockResolvedValue([{
+          number: 17,
+          title: 'Test PR',
+          user: { login: 'test-user' },
+          html_url: 'https://github.com/test/pr/17',
+          created_at: stalledDate.toISOString(),
+          updated_at: stalledDate.toISOString(),
+          draft: false,
+          assignees: [{ login: 'reviewer' }],
+          requested_reviewers: [],
+          labels: [{ name: 'feature' }],
+          head: { sha: 'sha17' }
+        }]);
+
+      mockGithubService.getPullRequestReviews.mockResolvedValue([{ state: 'APPROVED' }]);
+      mockGithubService.getCommitChecks.mockResolvedValue([{ name: 'build', status: 'completed', conclusion: 'success' }]);
+
+      const { run } = require('../index');
+      await run();
+
+      mockGithubService.getCommitChecks.mockResolvedValue([]);
+
+      const jsonCall = core.setOutput.mock.calls.find(call => call[0] === 'report-json');
+      const report = JSON.parse(jsonCall[1]);
+
+      expect(report.schemaVersion).toBe(1);
+      expect(report.categories.find(c => c.name === 'stalled').pullRequests).toEqual([17]);
+      expect(report.pullRequests).toEqual([expect.objectContaining({
+        number: 17,
+        author: 'test-user',
+        reviewStatus: 'approved',
+        labels: ['feature'],
+        assignees: ['reviewer'],
+        categories: ['stalled', 'approved-unmerged'],
+        daysSinceApproval: 10
+      })]);
+    });
+
+    test('should write the job summary when enabled', async () => {
+      mockInputs['job-summary'] = 'true';
+      const summary = {};
+      ['addHeading', 'addRaw', 'addTable'].forEach(method => {
+        summary[method] = jest.fn().mockReturnValue(summary);
+      });
+      summary.write = jest.fn().mockResolvedValue(summary);
+      core.summary = summary;
+
+      mockGithubService.listPullRequests.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      mockInputs['job-summary'] = 'false';
+
+      expect(summary.addHeading).toHaveBeenCalledWith('📊 Pull Request Status Report', 2);
+      expect(summary.write).toHaveBeenCalled();
+    });
+
     test('should show "All Clear" when no issues', async () => {
       mockGithubService.listPullRequests.mockResolvedValue([]);
 
@@ -555,9 +1129,129 @@ describe('PR Status Monitor Action', () => {
       expect(report).toContain('All Clear!');
       expect(report).toContain('No issues found');
     });
+
+    test('should warn in the report when listings were truncated', async () => {
+      mockGithubService.listPullRequests.mockResolvedValue([]);
+      mockGithubService.getTruncationWarnings.mockReturnValueOnce(['pull requests (capped at 100)']);
+
+      const { run } = require('../index');
+      await run();
+
+      const reportCall = core.setOutput.mock.calls.find(call => call[0] === 'report');
+      const report = reportCall[1];
+
+      expect(report).toContain('Results truncated');
+      expect(report).toContain('pull requests (capped at 100)');
+    });
+  });
+
+  describe('CODEOWNERS Validation', () => {
+    const actualCodeowners = jest.requireActual('../codeowners');
+    let originalCodeowners;
+
+    beforeEach(() => {
+      const codeowners = require('../codeowners');
+      originalCodeowners = { ...codeowners };
+      codeowners.findCodeowners = jest.fn().mockResolvedValue({
+        path: '.github/CODEOWNERS',
+        content: '*.js @alice\n/scripts/\n/src/ @alice @bob'
+      });
+      codeowners.parseCodeowners = actualCodeowners.parseCodeowners;
+      codeowners.matchPattern = actualCodeowners.matchPattern;
+
+      const githubService = require('../github-service');
+      githubService.getRepositoryTree = jest.fn().mockResolvedValue({
+        paths: ['src/index.js', 'src/util.js', 'scripts/build.sh', 'scripts/release.sh'],
+        truncated: false
+      });
+      githubService.getUserPermission = jest.fn(async login => (login === 'bob' ? 'read' : 'write'));
+    });
+
+    afterEach(() => {
+      Object.assign(require('../codeowners'), originalCodeowners);
+      delete mockInputs['validate-codeowners'];
+      delete mockInputs['codeowners-fail-on'];
+    });
+
+    test('should add a health section and fail at the configured level', async () => {
+      mockInputs['validate-codeowners'] = 'true';
+      mockInputs['codeowners-fail-on'] = 'error';
+      mockGithubService.listPullRequests.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      const report = core.setOutput.mock.calls.find(call => call[0] === 'report')[1];
+      expect(report).toContain([
+        '## 🗂️ CODEOWNERS Health',
+        '',
+        '_.github/CODEOWNERS: 1 errors, 1 warnings, 50% of 4 files owned_',
+        '',
+        '- ❌ Line 3: @bob does not have write access',
+        '- ⚠️ Line 1: "*.js" is overridden for every file it matches by line 3',
+        '',
+        '### Directories Without Owners',
+        '',
+        '- `scripts/` (2 files)',
+        ''
+      ].join('\n'));
+      const health = JSON.parse(core.setOutput.mock.calls.find(call => call[0] === 'codeowners-validation')[1]);
+      expect(health.coverage).toMatchObject({ files: 4, ownedFiles: 2, unownedFiles: 2 });
+      expect(core.setFailed).toHaveBeenCalledWith('❌ CODEOWNERS validation failed: 1 errors, 1 warnings, 2 unowned files');
+    });
+
+    test('should not fail by default', async () => {
+      mockInputs['validate-codeowners'] = 'true';
+      mockGithubService.listPullRequests.mockResolvedValue([]);
+
+      const { run } = require('../index');
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('codeowners-validation', expect.any(String));
+      expect(core.setFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Rate Limit', () => {
+    test('should output remaining API quota', async () => {
+      mockGithubService.listPullRequests.mockResolvedValue([]);
+      mockGithubService.getRateLimit.mockReturnValue({ limit: 5000, remaining: 4990, reset: 1700000000 });
+
+      const { run } = require('../index');
+      await run();
+
+      expect(core.setOutput).toHaveBeenCalledWith('rate-limit-remaining', 4990);
+      mockGithubService.getRateLimit.mockReturnValue({ limit: null, remaining: null, reset: null });
+    });
+
+    test('should output remaining API quota when the run fails', async () => {
+      mockGithubService.listPullRequests.mockRejectedValue(new Error('API Error'));
+      mockGithubService.getRateLimit.mockReturnValue({ limit: 5000, remaining: 0, reset: 1700000000 });
+
+      const { run } = require('../index');
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(expect.stringContaining('API Error'));
+      expect(core.setOutput).toHaveBeenCalledWith('rate-limit-remaining', 0);
+      mockGithubService.getRateLimit.mockReturnValue({ limit: null, remaining: null, reset: null });
+    });
   });
 
   describe('Error Handling', () => {
+    test('should fail fast on invalid inputs', async () => {
+      mockInputs['stale-days'] = 'seven';
+
+      const { run } = require('../index');
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        expect.stringContaining('Input stale-days must be a non-negative integer (got "seven")')
+      );
+      expect(mockGithubService.listPullRequests).not.toHaveBeenCalled();
+
+      mockInputs['stale-days'] = '7';
+    });
+
     test('should handle API errors gracefully', async () => {
       mockGithubService.listPullRequests.mockRejectedValue(
         new Error('API rate limit exceeded')
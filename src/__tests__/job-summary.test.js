@@ -0,0 +1,104 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { renderJobSummary, writeJobSummary } = require('../job-summary');
+
+function makeSummary() {
+  const summary = { parts: [] };
+  ['addHeading', 'addRaw', 'addTable'].forEach(method => {
+    summary[method] = jest.fn((content) => {
+      summary.parts.push({ method, content });
+      return summary;
+    });
+  });
+  summary.write = jest.fn().mockResolvedValue(summary);
+  return summary;
+}
+
+function makeReport(overrides = {}) {
+  return {
+    schemaVersion: 1,
+    generatedAt: '2026-10-19T08:00:00.000Z',
+    ageUnit: 'calendar-days',
+    totals: { openPullRequests: 4, flaggedPullRequests: 1, issues: 1 },
+    truncated: [],
+    categories: [
+      { name: 'stalled', label: 'Stalled PRs', severity: 'high', countsAsIssue: true, count: 1, pullRequests: [7] },
+      { name: 'blocked', label: 'Blocked PRs', severity: 'high', countsAsIssue: true, count: 0, pullRequests: [] }
+    ],
+    pullRequests: [{
+      number: 7,
+      title: 'Fix <script> escaping',
+      url: 'https://github.com/test/pr/7',
+      author: 'alice',
+      draft: true,
+      ageDays: 12,
+      idleDays: 9,
+      reviewStatus: 'changes-requested',
+      labels: [],
+      assignees: [],
+      reviewers: ['bob'],
+      teamReviewers: ['core'],
+      categories: ['stalled']
+    }],
+    ...overrides
+  };
+}
+
+describe('Job summary', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    core.warning = jest.fn();
+  });
+
+  test('should render a count table and a collapsible table per non-empty category', () => {
+    const summary = renderJobSummary(makeSummary(), makeReport());
+    const tables = summary.parts.filter(part => part.method === 'addTable').map(part => part.content);
+    const raw = summary.parts.filter(part => part.method === 'addRaw').map(part => part.content);
+
+    expect(tables).toHaveLength(2);
+    expect(tables[0].slice(1)).toEqual([
+      ['Stalled PRs', 'high', '1'],
+      ['Blocked PRs', 'high', '0']
+    ]);
+    expect(raw).toContain('<details><summary><b>Stalled PRs</b> (1)</summary>');
+    expect(raw.join('')).not.toContain('Blocked PRs');
+    expect(tables[1][0].map(cell => cell.data)).toEqual(
+      ['PR', 'Title', 'Author', 'Age (days)', 'Idle (days)', 'Reviewers', 'Review']
+    );
+    expect(tables[1][1]).toEqual([
+      '<a href="https://github.com/test/pr/7">#7</a> <code>DRAFT</code>',
+      'Fix &lt;script&gt; escaping',
+      '@alice',
+      '12',
+      '9',
+      '@bob, team core',
+      '❌ changes requested'
+    ]);
+  });
+
+  test('should label working-day ages and warn about truncation', () => {
+    const summary = renderJobSummary(makeSummary(), makeReport({
+      ageUnit: 'working-days',
+      truncated: ['pull requests (capped at 100)']
+    }));
+    const contents = summary.parts.map(part => JSON.stringify(part.content)).join('\n');
+
+    expect(contents).toContain('Age (working days)');
+    expect(contents).toContain('Results truncated:</b> pull requests (capped at 100)');
+  });
+
+  test('should warn instead of failing when the summary cannot be written', async () => {
+    const summary = makeSummary();
+    summary.write.mockRejectedValue(new Error('Unable to find environment variable for $GITHUB_STEP_SUMMARY'));
+    core.summary = summary;
+
+    await writeJobSummary(makeReport());
+
+    expect(core.warning).toHaveBeenCalledWith(
+      'Failed to write job summary: Unable to find environment variable for $GITHUB_STEP_SUMMARY'
+    );
+  });
+});
@@ -0,0 +1,108 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../github-service');
+
+const githubService = require('../github-service');
+const { percentile, median, measurePullRequest, summarizeMetrics, computeFlowMetrics } = require('../metrics');
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.parse('2026-10-01T00:00:00Z');
+const at = hours => new Date(start + hours * HOUR).toISOString();
+
+function makePR(overrides = {}) {
+  return {
+    number: 1,
+    user: { login: 'author' },
+    created_at: at(0),
+    merged_at: at(30),
+    updated_at: at(30),
+    ...overrides
+  };
+}
+
+function review(login, state, hours, type = 'User') {
+  return { user: { login, type }, state, submitted_at: at(hours) };
+}
+
+describe('Flow metrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    core.warning = jest.fn();
+  });
+
+  test('should compute nearest-rank percentiles', () => {
+    const values = [10, 1, 9, 2, 8, 3, 7, 4, 6, 5];
+
+    expect(percentile(values, 50)).toBe(5);
+    expect(percentile(values, 90)).toBe(9);
+    expect(percentile([4], 90)).toBe(4);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test('should average the two middle values for an even-sized median', () => {
+    expect(median([10, 1, 9, 2, 8, 3, 7, 4, 6, 5])).toBe(5.5);
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([])).toBeNull();
+  });
+
+  test('should measure review milestones, ignoring the author and bots', () => {
+    const reviews = [
+      review('author', 'COMMENTED', 1),
+      review('ci[bot]', 'COMMENTED', 2, 'Bot'),
+      review('alice', 'CHANGES_REQUESTED', 4),
+      review('bob', 'APPROVED', 10),
+      review('alice', 'APPROVED', 20),
+      review('carol', 'APPROVED', 40)
+    ];
+
+    expect(measurePullRequest(makePR(), reviews)).toEqual({
+      'time-to-first-review': 4,
+      'time-to-approval': 10,
+      'approval-to-merge': 10,
+      'cycle-time': 30
+    });
+  });
+
+  test('should leave milestones that never happened empty', () => {
+    expect(measurePullRequest(makePR(), [])).toEqual({
+      'time-to-first-review': null,
+      'time-to-approval': null,
+      'approval-to-merge': null,
+      'cycle-time': 30
+    });
+  });
+
+  test('should summarize median and p90 per metric', () => {
+    const summary = summarizeMetrics([
+      { 'time-to-first-review': 1, 'time-to-approval': null, 'approval-to-merge': null, 'cycle-time': 10 },
+      { 'time-to-first-review': 3.25, 'time-to-approval': 5, 'approval-to-merge': 2, 'cycle-time': 20 }
+    ]);
+
+    expect(summary[0]).toEqual({
+      name: 'time-to-first-review',
+      label: 'Time to first review',
+      count: 2,
+      medianHours: 2.1,
+      p90Hours: 3.3
+    });
+    expect(summary[1]).toEqual(expect.objectContaining({ name: 'time-to-approval', count: 1, medianHours: 5 }));
+  });
+
+  test('should measure PRs merged in the lookback window', async () => {
+    const now = new Date(at(24 * 10));
+    githubService.listMergedPullRequests.mockResolvedValue([makePR({ number: 1 }), makePR({ number: 2 })]);
+    githubService.getPullRequestReviews
+      .mockResolvedValueOnce([review('bob', 'APPROVED', 6)])
+      .mockRejectedValueOnce(new Error('boom'));
+
+    const result = await computeFlowMetrics({ lookbackDays: 7 }, now);
+
+    expect(githubService.listMergedPullRequests).toHaveBeenCalledWith(new Date(at(24 * 3)));
+    expect(result.lookbackDays).toBe(7);
+    expect(result.mergedCount).toBe(1);
+    expect(result.metrics.find(m => m.name === 'time-to-approval').medianHours).toBe(6);
+    expect(core.warning).toHaveBeenCalledWith('Skipping PR #2 in flow metrics: boom');
+  });
+});
@@ -0,0 +1,112 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../github-service');
+
+const githubService = require('../github-service');
+const { CHANGES_COMMENT } = require('../default-templates');
+const {
+  REPORT_MARKER,
+  buildIssueBody,
+  parseIssueState,
+  describeChanges,
+  publishReportIssue
+} = require('../report-issue');
+
+describe('Report issue', () => {
+  let config;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    core.debug = jest.fn();
+
+    config = {
+      issueLabels: ['pr-monitor'],
+      issueMode: 'update',
+      issueDiffComment: false,
+      closeIssueWhenClear: false,
+      templates: { changesComment: CHANGES_COMMENT }
+    };
+    githubService.createIssue.mockResolvedValue({ number: 10 });
+    githubService.updateIssue.mockResolvedValue({});
+    githubService.createComment.mockResolvedValue({});
+    githubService.findOpenIssue.mockResolvedValue(null);
+  });
+
+  test('should round-trip the hidden state through the issue body', () => {
+    const body = buildIssueBody('# Report', { stalled: [1, 2] });
+
+    expect(body).toContain(REPORT_MARKER);
+    expect(body).toContain('# Report');
+    expect(parseIssueState(body)).toEqual({ stalled: [1, 2] });
+    expect(parseIssueState('no state here')).toBeNull();
+    expect(parseIssueState('<!-- pr-status-monitor:state {broken -->')).toBeNull();
+  });
+
+  test('should describe PRs entering and leaving categories', () => {
+    const changes = describeChanges(
+      { stalled: [1, 2], old: [5] },
+      { stalled: [2, 3], old: [5], blocked: [4] }
+    );
+
+    expect(changes).toContain('- **stalled**: +#3, -#1');
+    expect(changes).toContain('- **blocked**: +#4');
+    expect(changes).not.toContain('**old**');
+    expect(describeChanges({ stalled: [1] }, { stalled: [1] })).toBeNull();
+  });
+
+  test('should open a new issue every run in create mode', async () => {
+    config.issueMode = 'create';
+
+    await publishReportIssue('# Report', { stalled: [1] }, 1, config);
+
+    expect(githubService.findOpenIssue).not.toHaveBeenCalled();
+    expect(githubService.createIssue).toHaveBeenCalledWith(
+      expect.stringContaining('PR Status Report'),
+      expect.stringContaining('# Report'),
+      ['pr-monitor']
+    );
+  });
+
+  test('should create the rolling issue when none is open', async () => {
+    await publishReportIssue('# Report', { stalled: [1] }, 1, config);
+
+    expect(githubService.findOpenIssue).toHaveBeenCalledWith(['pr-monitor'], REPORT_MARKER);
+    expect(githubService.createIssue).toHaveBeenCalled();
+    expect(githubService.updateIssue).not.toHaveBeenCalled();
+  });
+
+  test('should not create an issue when there is nothing to report', async () => {
+    await publishReportIssue('# Report', { stalled: [] }, 0, config);
+
+    expect(githubService.createIssue).not.toHaveBeenCalled();
+  });
+
+  test('should update the rolling issue and comment with changes', async () => {
+    config.issueDiffComment = true;
+    githubService.findOpenIssue.mockResolvedValue({
+      number: 42,
+      body: buildIssueBody('# Old', { stalled: [1] })
+    });
+
+    await publishReportIssue('# Report', { stalled: [2] }, 1, config);
+
+    expect(githubService.createIssue).not.toHaveBeenCalled();
+    expect(githubService.updateIssue).toHaveBeenCalledWith(42, {
+      title: expect.stringContaining('PR Status Report'),
+      body: expect.stringContaining('# Report')
+    });
+    expect(githubService.createComment).toHaveBeenCalledWith(42, expect.stringContaining('+#2, -#1'));
+  });
+
+  test('should close the rolling issue when all clear', async () => {
+    config.closeIssueWhenClear = true;
+    githubService.findOpenIssue.mockResolvedValue({ number: 42, body: REPORT_MARKER });
+
+    await publishReportIssue('# Report', { stalled: [] }, 0, config);
+
+    expect(githubService.updateIssue).toHaveBeenLastCalledWith(42, { state: 'closed', state_reason: 'completed' });
+    expect(core.info).toHaveBeenCalledWith('✅ Closed issue #42 (all clear)');
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const { getRules } = require('../rules');
+const { SCHEMA_VERSION, buildJsonReport, writeJsonReport } = require('../report-json');
+
+function makeEntry(overrides = {}) {
+  return {
+    number: 1,
+    title: 'Add feature',
+    author: 'alice',
+    url: 'https://github.com/test/pr/1',
+    draft: false,
+    daysSinceCreated: 12,
+    daysSinceUpdate: 8,
+    reviewStatus: 'approved',
+    labels: [{ name: 'feature' }],
+    assignees: [{ login: 'bob' }],
+    requested_reviewers: [{ login: 'carol' }],
+    requested_teams: [{ slug: 'core' }],
+    ...overrides
+  };
+}
+
+describe('JSON report', () => {
+  const config = {
+    disabledRules: [],
+    customRules: [],
+    checkStatusAndConflicts: true,
+    workingDays: { enabled: false }
+  };
+  const rules = getRules(config);
+
+  function emptyIssues() {
+    const issues = {};
+    rules.forEach(rule => {
+      issues[rule.key] = [];
+    });
+    return issues;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    core.warning = jest.fn();
+  });
+
+  test('should list every category and each flagged PR once', () => {
+    const issues = emptyIssues();
+    issues.stalled.push(makeEntry());
+    issues.old.push(makeEntry());
+    issues.failingChecks.push(makeEntry({ number: 2, failingChecks: ['ci'] }));
+    issues.needsReview.push(makeEntry({ number: 3 }));
+
+    const report = buildJsonReport(issues, rules, 10, config, ['pull requests (capped at 1000)']);
+
+    expect(report.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(report.ageUnit).toBe('calendar-days');
+    expect(report.totals).toEqual({ openPullRequests: 10, flaggedPullRequests: 3, issues: 3 });
+    expect(report.truncated).toEqual(['pull requests (capped at 1000)']);
+    expect(report.categories.map(c => c.name)).toEqual(rules.map(r => r.name));
+    expect(report.categories.find(c => c.name === 'stalled')).toEqual({
+      name: 'stalled',
+      label: 'Stalled PRs',
+      severity: 'high',
+      countsAsIssue: true,
+      count: 1,
+      pullRequests: [1]
+    });
+    expect(report.categories.find(c => c.name === 'needs-review').countsAsIssue).toBe(false);
+    expect(report.pullRequests.map(pr => pr.number)).toEqual([1, 2, 3]);
+    expect(report.pullRequests[0]).toEqual({
+      number: 1,
+      title: 'Add feature',
+      url: 'https://github.com/test/pr/1',
+      author: 'alice',
+      draft: false,
+      ageDays: 12,
+      idleDays: 8,
+      reviewStatus: 'approved',
+      labels: ['feature'],
+      assignees: ['bob'],
+      reviewers: ['carol'],
+      teamReviewers: ['core'],
+      categories: ['stalled', 'old']
+    });
+    expect(report.pullRequests[1].failingChecks).toEqual(['ci']);
+  });
+
+  test('should report the age unit for working days', () => {
+    const report = buildJsonReport(emptyIssues(), rules, 0, { ...config, workingDays: { enabled: true } });
+
+    expect(report.ageUnit).toBe('working-days');
+    expect(report.pullRequests).toEqual([]);
+  });
+
+  test('should write the report relative to the workspace', () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'pr-monitor-'));
+    const previous = process.env.GITHUB_WORKSPACE;
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    try {
+      const target = writeJsonReport({ schemaVersion: 1 }, 'out/report.json');
+
+      expect(target).toBe(path.join(workspace, 'out', 'report.json'));
+      expect(JSON.parse(fs.readFileSync(target, 'utf-8'))).toEqual({ schemaVersion: 1 });
+    } finally {
+      process.env.GITHUB_WORKSPACE = previous;
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,164 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+
+const requestLayer = require('../request-layer');
+
+function httpError(status, message, headers = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.response = { headers };
+  return error;
+}
+
+describe('Request Layer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    requestLayer.reset();
+    requestLayer.configure({ baseDelayMs: 0 });
+    core.warning = jest.fn();
+  });
+
+  describe('getRetryDelay', () => {
+    test('should back off exponentially on 5xx errors', () => {
+      requestLayer.configure({ baseDelayMs: 1000 });
+
+      expect(requestLayer.getRetryDelay(httpError(502, 'Bad Gateway'), 0)).toBe(1000);
+      expect(requestLayer.getRetryDelay(httpError(503, 'Unavailable'), 2)).toBe(4000);
+    });
+
+    test('should honour Retry-After', () => {
+      const error = httpError(403, 'You have exceeded a secondary rate limit', { 'retry-after': '30' });
+
+      expect(requestLayer.getRetryDelay(error, 0)).toBe(30000);
+    });
+
+    test('should back off on secondary rate limits without Retry-After', () => {
+      requestLayer.configure({ baseDelayMs: 500 });
+      const error = httpError(403, 'You have exceeded a secondary rate limit');
+
+      expect(requestLayer.getRetryDelay(error, 1)).toBe(1000);
+    });
+
+    test('should wait for the reset when the primary quota is exhausted', () => {
+      const reset = Math.floor(Date.now() / 1000) + 10;
+      const error = httpError(403, 'API rate limit exceeded', {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(reset)
+      });
+
+      const delay = requestLayer.getRetryDelay(error, 0);
+      expect(delay).toBeGreaterThan(0);
+      expect(delay).toBeLessThanOrEqual(10000);
+    });
+
+    test('should give up when the reset is too far away', () => {
+      const reset = Math.floor(Date.now() / 1000) + 3600;
+      const error = httpError(403, 'API rate limit exceeded', {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(reset)
+      });
+
+      expect(requestLayer.getRetryDelay(error, 0)).toBeNull();
+    });
+
+    test('should not retry client errors', () => {
+      expect(requestLayer.getRetryDelay(httpError(404, 'Not Found'), 0)).toBeNull();
+      expect(requestLayer.getRetryDelay(httpError(403, 'Resource not accessible by integration'), 0)).toBeNull();
+    });
+  });
+
+  describe('send', () => {
+    test('should retry transient failures and return the response', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(httpError(500, 'Server Error'))
+        .mockResolvedValueOnce({ data: 'ok', headers: {} });
+
+      const response = await requestLayer.send(fn, 'GET /repos');
+
+      expect(response.data).toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringContaining('GET /repos failed (500)'));
+    });
+
+    test('should throw after exhausting retries', async () => {
+      requestLayer.configure({ maxRetries: 2 });
+      const fn = jest.fn().mockRejectedValue(httpError(503, 'Unavailable'));
+
+      await expect(requestLayer.send(fn)).rejects.toThrow('Unavailable');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('should throw non-retryable errors immediately', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(404, 'Not Found'));
+
+      await expect(requestLayer.send(fn)).rejects.toThrow('Not Found');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should record rate-limit headers from responses', async () => {
+      const fn = jest.fn().mockResolvedValue({
+        data: [],
+        headers: {
+          'x-ratelimit-limit': '5000',
+          'x-ratelimit-remaining': '4321',
+          'x-ratelimit-reset': '1700000000'
+        }
+      });
+
+      await requestLayer.send(fn);
+
+      expect(requestLayer.getRateLimit()).toEqual({ limit: 5000, remaining: 4321, reset: 1700000000 });
+    });
+
+    test('should keep the core quota apart from other resources', async () => {
+      const headers = (resource, remaining) => ({
+        'x-ratelimit-resource': resource,
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': remaining,
+        'x-ratelimit-reset': '1700000000'
+      });
+
+      await requestLayer.send(jest.fn().mockResolvedValue({ data: [], headers: headers('core', '4000') }));
+      await requestLayer.send(jest.fn().mockResolvedValue({ data: [], headers: headers('search', '29') }));
+
+      expect(requestLayer.getRateLimit().remaining).toBe(4000);
+      expect(requestLayer.getRateLimit('search').remaining).toBe(29);
+      expect(requestLayer.getRateLimit('graphql')).toEqual({ limit: null, remaining: null, reset: null });
+    });
+
+    test('should limit the number of requests in flight', async () => {
+      requestLayer.configure({ maxConcurrency: 2 });
+      let inFlight = 0;
+      let peak = 0;
+
+      const fn = async () => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { headers: {} };
+      };
+
+      await Promise.all([1, 2, 3, 4, 5].map(() => requestLayer.send(fn)));
+
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('install', () => {
+    test('should wrap Octokit requests', async () => {
+      const octokit = { hook: { wrap: jest.fn() } };
+      requestLayer.install(octokit);
+
+      expect(octokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+
+      const wrapper = octokit.hook.wrap.mock.calls[0][1];
+      const request = jest.fn().mockResolvedValue({ data: 1, headers: {} });
+      const response = await wrapper(request, { method: 'GET', url: '/repos/{owner}/{repo}/pulls' });
+
+      expect(response.data).toBe(1);
+      expect(request).toHaveBeenCalledWith({ method: 'GET', url: '/repos/{owner}/{repo}/pulls' });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../codeowners');
+jest.mock('../github-service');
+
+const codeowners = require('../codeowners');
+const githubService = require('../github-service');
+const { requestCodeownerReviews } = require('../review-requests');
+
+function makePR(overrides = {}) {
+  return {
+    number: 7,
+    user: { login: 'author' },
+    draft: false,
+    requested_reviewers: [],
+    requested_teams: [],
+    ...overrides
+  };
+}
+
+function makeContext(owners, assignment = {}, reviews = []) {
+  return {
+    config: { assignment },
+    workload: new Map(),
+    getReviews: jest.fn().mockResolvedValue(reviews),
+    getCodeowners: jest.fn().mockResolvedValue(owners)
+  };
+}
+
+describe('Code owner review requests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    codeowners.requestOwnerReviews.mockResolvedValue(true);
+  });
+
+  test('should request reviews from user and team owners, excluding the author', async () => {
+    const ctx = makeContext(['author', 'alice', 'org/docs']);
+
+    const requested = await requestCodeownerReviews(makePR(), ctx);
+
+    expect(requested).toEqual(['alice', 'org/docs']);
+    expect(codeowners.requestOwnerReviews).toHaveBeenCalledWith(7, ['alice', 'org/docs']);
+    expect(ctx.workload).toEqual(new Map([['alice', 1], ['team:docs', 1]]));
+    expect(core.info).toHaveBeenCalledWith('  ✅ Requested reviews on PR #7 from: alice, org/docs');
+  });
+
+  test('should apply the assignment strategy and limit', async () => {
+    const ctx = makeContext(['alice', 'bob'], { strategy: 'round-robin', maxAssignees: 1 });
+
+    await requestCodeownerReviews(makePR(), ctx);
+
+    expect(codeowners.requestOwnerReviews).toHaveBeenCalledWith(7, ['bob']);
+  });
+
+  test('should skip drafts and PRs with pending review requests', async () => {
+    const ctx = makeContext(['alice']);
+
+    expect(await requestCodeownerReviews(makePR({ draft: true }), ctx)).toEqual([]);
+    expect(await requestCodeownerReviews(makePR({ requested_teams: [{ slug: 'docs' }] }), ctx)).toEqual([]);
+    expect(ctx.getCodeowners).not.toHaveBeenCalled();
+    expect(codeowners.requestOwnerReviews).not.toHaveBeenCalled();
+  });
+
+  test('should not ask again once the PR is approved', async () => {
+    codeowners.requestOwnerReviews.mockImplementation(jest.requireActual('../codeowners').requestOwnerReviews);
+    const ctx = makeContext(['alice', 'bob'], {}, [{ user: { login: 'alice' }, state: 'APPROVED' }]);
+
+    expect(await requestCodeownerReviews(makePR(), ctx)).toEqual([]);
+    expect(githubService.requestReviewers).not.toHaveBeenCalled();
+  });
+
+  test('should skip owners who already reviewed', async () => {
+    const ctx = makeContext(['alice', 'bob', 'org/docs'], {}, [
+      { user: { login: 'Alice' }, state: 'CHANGES_REQUESTED' },
+      { user: { login: 'bob' }, state: 'COMMENTED' }
+    ]);
+
+    expect(await requestCodeownerReviews(makePR(), ctx)).toEqual(['org/docs']);
+    expect(codeowners.requestOwnerReviews).toHaveBeenCalledWith(7, ['org/docs']);
+  });
+
+  test('should not record workload when the request fails', async () => {
+    codeowners.requestOwnerReviews.mockResolvedValue(false);
+    const ctx = makeContext(['alice']);
+
+    expect(await requestCodeownerReviews(makePR(), ctx)).toEqual([]);
+    expect(ctx.workload.size).toBe(0);
+  });
+});
@@ -0,0 +1,412 @@
+const core = require('@actions/core');
+
+jest.mock('@actions/core');
+jest.mock('../codeowners');
+
+const codeowners = require('../codeowners');
+const { getRules, countsAsIssue, BUILT_IN_RULE_NAMES } = require('../rules');
+const { createCustomRule } = require('../rules/custom');
+const { reviewStatus } = require('../rules/common');
+
+const baseConfig = {
+  staleDays: 7,
+  oldDays: 30,
+  needsReviewDays: 2,
+  blockedLabels: ['blocked'],
+  autoAssignCodeowners: false,
+  checkStatusAndConflicts: true,
+  checkCodeownerApproval: true,
+  disabledRules: [],
+  customRules: []
+};
+
+function makePR(overrides = {}) {
+  return {
+    number: 1,
+    title: 'Test PR',
+    user: { login: 'author' },
+    html_url: 'https://github.com/test/pr/1',
+    draft: false,
+    assignees: [{ login: 'assignee' }],
+    requested_reviewers: [],
+    labels: [],
+    base: { ref: 'main' },
+    ...overrides
+  };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-20T00:00:00Z');
+const daysAgo = days => new Date(NOW - days * DAY).toISOString();
+
+function makeContext(overrides = {}) {
+  return {
+    config: baseConfig,
+    thresholds: { staleDays: 7, oldDays: 30, needsReviewDays: 2, approvedUnmergedDays: 3, authorIdleDays: 7 },
+    codeowners: null,
+    daysSinceCreated: 1,
+    daysSinceUpdate: 1,
+    daysSince: date => (NOW - date) / DAY,
+    getTimeline: jest.fn().mockResolvedValue([]),
+    getReviews: jest.fn().mockResolvedValue([]),
+    getDetails: jest.fn().mockResolvedValue({ mergeable: true, mergeable_state: 'clean', additions: 10, deletions: 5 }),
+    getChecks: jest.fn().mockResolvedValue([]),
+    getFiles: jest.fn().mockResolvedValue([]),
+    getCodeowners: jest.fn().mockResolvedValue([]),
+    ...overrides
+  };
+}
+
+function rule(name, config = baseConfig) {
+  return getRules(config).find(r => r.name === name);
+}
+
+describe('Rule Registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+  });
+
+  test('should enable every built-in rule by default', () => {
+    expect(getRules(baseConfig).map(r => r.name)).toEqual(BUILT_IN_RULE_NAMES);
+  });
+
+  test('should drop disabled rules, CI rules when status checks are off and the approval check when off', () => {
+    const rules = getRules({
+      ...baseConfig,
+      disabledRules: ['old'],
+      checkStatusAndConflicts: false,
+      checkCodeownerApproval: false
+    });
+
+    expect(rules.map(r => r.name)).toEqual(['stalled', 'needs-review', 'approved-unmerged', 'author-idle', 'unassigned', 'blocked']);
+  });
+
+  test('should append custom rules after built-ins', () => {
+    const rules = getRules({ ...baseConfig, customRules: [{ name: 'wip', match: { title: '^WIP' } }] });
+
+    expect(rules[rules.length - 1].name).toBe('wip');
+  });
+
+  test('should not count info rules towards total issues', () => {
+    expect(countsAsIssue(rule('needs-review'))).toBe(false);
+    expect(countsAsIssue(rule('stalled'))).toBe(true);
+  });
+});
+
+describe('Review Status', () => {
+  const review = (login, state, commit = 'head') => ({ user: { login }, state, commit_id: commit });
+  const pr = (requested = []) => makePR({ head: { sha: 'head' }, requested_reviewers: requested.map(login => ({ login })) });
+
+  test('should use each reviewer\'s latest verdict, ignoring comments', () => {
+    expect(reviewStatus([
+      review('alice', 'CHANGES_REQUESTED'),
+      review('alice', 'APPROVED'),
+      review('alice', 'COMMENTED')
+    ], pr())).toBe('approved');
+    expect(reviewStatus([review('alice', 'APPROVED'), review('bob', 'CHANGES_REQUESTED')], pr())).toBe('changes-requested');
+    expect(reviewStatus([review('alice', 'COMMENTED')], pr())).toBe('pending');
+  });
+
+  test('should drop dismissed reviews', () => {
+    expect(reviewStatus([review('alice', 'CHANGES_REQUESTED'), review('alice', 'DISMISSED')], pr())).toBe('pending');
+    expect(reviewStatus([review('alice', 'DISMISSED'), review('bob', 'APPROVED')], pr())).toBe('approved');
+  });
+
+  test('should mark approvals of an earlier head commit as stale', () => {
+    expect(reviewStatus([review('alice', 'APPROVED', 'old')], pr())).toBe('approved-stale');
+    expect(reviewStatus([review('alice', 'APPROVED', 'old'), review('bob', 'APPROVED')], pr())).toBe('approved');
+    expect(reviewStatus([review('alice', 'APPROVED', 'old')])).toBe('approved');
+  });
+
+  test('should report reviewers asked to review again', () => {
+    const reviews = [review('alice', 'CHANGES_REQUESTED'), review('bob', 'APPROVED')];
+
+    expect(reviewStatus(reviews, pr(['Alice']))).toBe('re-review-requested');
+    expect(reviewStatus([...reviews, review('carol', 'CHANGES_REQUESTED')], pr(['alice']))).toBe('changes-requested');
+    expect(reviewStatus([], pr(['alice']))).toBe('pending');
+  });
+});
+
+describe('Built-in Rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core.info = jest.fn();
+    codeowners.expandTeamOwners.mockImplementation(async owners => owners);
+  });
+
+  test('stalled should include the review status', async () => {
+    const ctx = makeContext({
+      daysSinceUpdate: 10,
+      getReviews: jest.fn().mockResolvedValue([{ state: 'APPROVED' }])
+    });
+
+    const entry = await rule('stalled').evaluate(makePR(), ctx);
+
+    expect(entry).toEqual(expect.objectContaining({ number: 1, daysSinceUpdate: 10, reviewStatus: 'approved' }));
+    expect(rule('stalled').render(entry)).toContain('- ✅ [#1](https://github.com/test/pr/1)');
+    expect(rule('stalled').render(entry)).toContain('| Review: approved');
+  });
+
+  test('stalled should not load reviews for active PRs', async () => {
+    const ctx = makeContext();
+
+    expect(await rule('stalled').evaluate(makePR(), ctx)).toBeNull();
+    expect(ctx.getReviews).not.toHaveBeenCalled();
+  });
+
+  test('needs-review should skip drafts and reviewed PRs', async () => {
+    const ctx = makeContext({ daysSinceCreated: 3 });
+
+    expect(await rule('needs-review').evaluate(makePR(), ctx)).not.toBeNull();
+    expect(await rule('needs-review').evaluate(makePR({ draft: true }), ctx)).toBeNull();
+
+    ctx.getReviews.mockResolvedValue([{ state: 'COMMENTED' }]);
+    expect(await rule('needs-review').evaluate(makePR(), ctx)).toBeNull();
+  });
+
+  test('codeowner-approval should list the owner groups still waiting on an approval', async () => {
+    const rules = [{ pattern: '*.js', owners: ['alice'] }, { pattern: '/docs/', owners: ['org/docs'] }];
+    const files = [{ filename: 'src/a.js' }, { filename: 'docs/guide.md' }];
+    const reviews = [{ user: { login: 'alice' }, state: 'APPROVED' }];
+    const pending = [{ pattern: '/docs/', owners: ['org/docs'], files: ['docs/guide.md'] }];
+    codeowners.groupFilesByOwner.mockReturnValue([{ pattern: '*.js', owners: ['alice'], files: ['src/a.js'] }, ...pending]);
+    codeowners.findUnapprovedGroups.mockResolvedValue(pending);
+    const ctx = makeContext({
+      codeowners: rules,
+      getFiles: jest.fn().mockResolvedValue(files),
+      getReviews: jest.fn().mockResolvedValue(reviews)
+    });
+
+    const entry = await rule('codeowner-approval').evaluate(makePR(), ctx);
+
+    expect(codeowners.groupFilesByOwner).toHaveBeenCalledWith(files, rules);
+    expect(codeowners.findUnapprovedGroups).toHaveBeenCalledWith(expect.any(Array), reviews);
+    expect(entry.pendingOwners).toEqual(pending);
+    expect(rule('codeowner-approval').render(entry)).toBe(
+      '- [#1](https://github.com/test/pr/1)  - Test PR\n' +
+      '  - Author: @author | Waiting on:\n' +
+      '  - `/docs/` (1 files): @org/docs\n\n'
+    );
+
+    codeowners.findUnapprovedGroups.mockResolvedValue([]);
+    expect(await rule('codeowner-approval').evaluate(makePR(), ctx)).toBeNull();
+  });
+
+  test('codeowner-approval should skip drafts and PRs without CODEOWNERS', async () => {
+    const ctx = makeContext();
+
+    expect(await rule('codeowner-approval').evaluate(makePR(), ctx)).toBeNull();
+    expect(await rule('codeowner-approval').evaluate(makePR({ draft: true }), makeContext({ codeowners: [] }))).toBeNull();
+    expect(ctx.getFiles).not.toHaveBeenCalled();
+  });
+
+  test('approved-unmerged should flag PRs approved on their head commit with passing checks', async () => {
+    const pr = makePR({ head: { sha: 'head' } });
+    const approval = (login, days, commit = 'head') => ({ user: { login }, state: 'APPROVED', commit_id: commit, submitted_at: daysAgo(days) });
+    const ctx = makeContext({
+      daysSinceCreated: 10,
+      getReviews: jest.fn().mockResolvedValue([approval('alice', 9, 'old'), approval('bob', 4), approval('carol', 2)]),
+      getChecks: jest.fn().mockResolvedValue([{ name: 'build', conclusion: 'success' }, { name: 'docs', conclusion: 'skipped' }])
+    });
+
+    const entry = await rule('approved-unmerged').evaluate(pr, ctx);
+
+    expect(entry).toEqual(expect.objectContaining({ number: 1, reviewStatus: 'approved', daysSinceApproval: 4 }));
+    expect(rule('approved-unmerged').render(entry)).toContain('| Approved: **4 days ago**');
+    expect(rule('approved-unmerged').heading({ approvedUnmergedDays: 3 })).toBe('🚀 Approved but Not Merged (3+ days)');
+  });
+
+  test('approved-unmerged should skip recent approvals and unfinished, failing or unknown checks', async () => {
+    const pr = makePR({ head: { sha: 'head' } });
+    const reviews = [{ user: { login: 'bob' }, state: 'APPROVED', commit_id: 'head', submitted_at: daysAgo(5) }];
+    const ctx = makeContext({ daysSinceCreated: 10, getReviews: jest.fn().mockResolvedValue(reviews) });
+
+    ctx.getChecks.mockResolvedValue([{ name: 'build', conclusion: null }]);
+    expect(await rule('approved-unmerged').evaluate(pr, ctx)).toBeNull();
+    ctx.getChecks.mockResolvedValue([{ name: 'build', conclusion: 'failure' }]);
+    expect(await rule('approved-unmerged').evaluate(pr, ctx)).toBeNull();
+
+    // Checks that failed to load are not a pass, while a repository without CI has nothing blocking
+    ctx.getChecks.mockResolvedValue(null);
+    expect(await rule('approved-unmerged').evaluate(pr, ctx)).toBeNull();
+    ctx.getChecks.mockResolvedValue([]);
+    expect(await rule('approved-unmerged').evaluate(pr, ctx)).not.toBeNull();
+
+    ctx.config = { ...baseConfig, checkStatusAndConflicts: false };
+    ctx.getChecks.mockResolvedValue([{ name: 'build', conclusion: 'success' }]);
+    expect(await rule('approved-unmerged').evaluate(pr, ctx)).not.toBeNull();
+
+    ctx.thresholds = { ...ctx.thresholds, approvedUnmergedDays: 6 };
+    expect(await rule('approved-unmerged').evaluate(pr, ctx)).toBeNull();
+    expect(await rule('approved-unmerged').evaluate(pr, makeContext({ getReviews: ctx.getReviews }))).toBeNull();
+  });
+
+  test('author-idle should flag change requests the author has not answered', async () => {
+    const reviews = [
+      { user: { login: 'bob' }, state: 'CHANGES_REQUESTED', submitted_at: daysAgo(12) },
+      { user: { login: 'carol' }, state: 'CHANGES_REQUESTED', submitted_at: daysAgo(8) }
+    ];
+    const ctx = makeContext({
+      daysSinceCreated: 20,
+      getReviews: jest.fn().mockResolvedValue(reviews),
+      getTimeline: jest.fn().mockResolvedValue([
+        { event: 'commented', actor: { login: 'author', type: 'User' }, created_at: daysAgo(10) }
+      ])
+    });
+
+    const entry = await rule('author-idle').evaluate(makePR(), ctx);
+
+    expect(entry).toEqual(expect.objectContaining({ reviewStatus: 'changes-requested', daysSinceChangesRequested: 8 }));
+    expect(rule('author-idle').render(entry)).toContain('| Changes requested: **8 days ago**');
+
+    ctx.getTimeline.mockResolvedValue([
+      { event: 'committed', author: { name: 'Author', date: daysAgo(1) }, committer: { date: daysAgo(1) } }
+    ]);
+    expect(await rule('author-idle').evaluate(makePR(), ctx)).toBeNull();
+  });
+
+  test('author-idle should skip recent or undated requests, re-requested reviews and unknown timelines', async () => {
+    const reviews = [{ user: { login: 'bob' }, state: 'CHANGES_REQUESTED', submitted_at: daysAgo(9) }];
+    const ctx = makeContext({ daysSinceCreated: 20, getReviews: jest.fn().mockResolvedValue(reviews) });
+
+    expect(await rule('author-idle').evaluate(makePR({ requested_reviewers: [{ login: 'bob' }] }), ctx)).toBeNull();
+
+    ctx.getTimeline.mockResolvedValue(null);
+    expect(await rule('author-idle').evaluate(makePR(), ctx)).toBeNull();
+
+    ctx.getTimeline.mockResolvedValue([]);
+    ctx.getReviews.mockResolvedValue([{ user: { login: 'bob' }, state: 'CHANGES_REQUESTED' }]);
+    expect(await rule('author-idle').evaluate(makePR(), ctx)).toBeNull();
+
+    ctx.getReviews.mockResolvedValue(reviews);
+    ctx.thresholds = { ...ctx.thresholds, authorIdleDays: 10 };
+    expect(await rule('author-idle').evaluate(makePR(), ctx)).toBeNull();
+  });
+
+  test('unassigned should auto-assign to code owners when enabled', async () => {
+    codeowners.assignPRToOwners.mockResolvedValue(true);
+    const ctx = makeContext({
+      getCodeowners: jest.fn().mockResolvedValue(['alice']),
+      config: { ...baseConfig, autoAssignCodeowners: true },
+      codeowners: [{ pattern: '*', owners: ['alice'] }]
+    });
+
+    const entry = await rule('unassigned').evaluate(makePR({ assignees: [] }), ctx);
+
+    expect(entry).toBeNull();
+    expect(codeowners.assignPRToOwners).toHaveBeenCalledWith(1, ['alice']);
+    expect(core.info).toHaveBeenCalledWith('  ✅ Auto-assigned PR #1 to: alice');
+  });
+
+  test('unassigned should apply the assignment strategy and record the new workload', async () => {
+    codeowners.assignPRToOwners.mockResolvedValue(true);
+    const workload = new Map([['alice', 2]]);
+    const ctx = makeContext({
+      getCodeowners: jest.fn().mockResolvedValue(['author', 'alice', 'bob']),
+      config: { ...baseConfig, autoAssignCodeowners: true, assignment: { strategy: 'least-loaded', maxAssignees: 1 } },
+      codeowners: [{ pattern: '*', owners: ['author', 'alice', 'bob'] }],
+      workload
+    });
+
+    expect(await rule('unassigned').evaluate(makePR({ assignees: [] }), ctx)).toBeNull();
+    expect(codeowners.assignPRToOwners).toHaveBeenCalledWith(1, ['bob']);
+    expect(workload.get('bob')).toBe(1);
+  });
+
+  test('unassigned should assign team owners as their members', async () => {
+    codeowners.expandTeamOwners.mockResolvedValue(['dana', 'alice']);
+    codeowners.assignPRToOwners.mockResolvedValue(true);
+    const assignment = { strategy: 'all', maxAssignees: 0, inactiveMemberDays: 14 };
+    const ctx = makeContext({
+      getCodeowners: jest.fn().mockResolvedValue(['org/docs', 'alice']),
+      config: { ...baseConfig, autoAssignCodeowners: true, assignment },
+      codeowners: [{ pattern: '*', owners: ['org/docs', 'alice'] }]
+    });
+
+    expect(await rule('unassigned').evaluate(makePR({ assignees: [] }), ctx)).toBeNull();
+    expect(codeowners.expandTeamOwners).toHaveBeenCalledWith(['org/docs', 'alice'], assignment);
+    expect(codeowners.assignPRToOwners).toHaveBeenCalledWith(1, ['dana', 'alice']);
+  });
+
+  test('unassigned should still be reported when the author is the only owner', async () => {
+    const ctx = makeContext({
+      getCodeowners: jest.fn().mockResolvedValue(['author']),
+      config: { ...baseConfig, autoAssignCodeowners: true },
+      codeowners: [{ pattern: '*', owners: ['author'] }]
+    });
+
+    expect(await rule('unassigned').evaluate(makePR({ assignees: [] }), ctx)).not.toBeNull();
+    expect(codeowners.assignPRToOwners).not.toHaveBeenCalled();
+  });
+
+  test('blocked should match labels case-insensitively', async () => {
+    const entry = await rule('blocked').evaluate(makePR({ labels: [{ name: 'Blocked' }] }), makeContext());
+
+    expect(entry.labels).toEqual([{ name: 'Blocked' }]);
+  });
+
+  test('failing-checks should list failing check names', async () => {
+    const ctx = makeContext({
+      getChecks: jest.fn().mockResolvedValue([
+        { name: 'build', status: 'completed', conclusion: 'failure' },
+        { name: 'lint', status: 'completed', conclusion: 'success' }
+      ])
+    });
+
+    const entry = await rule('failing-checks').evaluate(makePR(), ctx);
+
+    expect(entry.failingChecks).toEqual(['build']);
+    expect(await rule('failing-checks').evaluate(makePR(), makeContext({ getChecks: jest.fn().mockResolvedValue(null) }))).toBeNull();
+  });
+
+  test('conflicted should use mergeability', async () => {
+    const ctx = makeContext({ getDetails: jest.fn().mockResolvedValue({ mergeable: false, mergeable_state: 'dirty' }) });
+
+    expect(await rule('conflicted').evaluate(makePR(), ctx)).not.toBeNull();
+    expect(await rule('conflicted').evaluate(makePR(), makeContext())).toBeNull();
+  });
+
+  test('old should use the resolved threshold', async () => {
+    const ctx = makeContext({ daysSinceCreated: 5, thresholds: { staleDays: 7, oldDays: 3, needsReviewDays: 2 } });
+
+    expect(await rule('old').evaluate(makePR(), ctx)).not.toBeNull();
+  });
+});
+
+describe('Custom Rules', () => {
+  test('should require every configured condition to match', async () => {
+    const custom = createCustomRule({
+      name: 'release-wip',
+      title: 'WIP PRs against release branches',
+      severity: 'low',
+      match: { 'title': '^wip', 'labels': ['needs-design'], 'base-branches': ['release/1.0'] }
+    });
+
+    const matching = makePR({ title: 'WIP: new flow', labels: [{ name: 'Needs-Design' }], base: { ref: 'release/1.0' } });
+
+    expect(await custom.evaluate(matching, makeContext())).not.toBeNull();
+    expect(await custom.evaluate({ ...matching, base: { ref: 'main' } }, makeContext())).toBeNull();
+    expect(await custom.evaluate({ ...matching, title: 'Ready' }, makeContext())).toBeNull();
+    expect(custom.severity).toBe('low');
+    expect(custom.heading()).toBe('🔎 WIP PRs against release branches');
+  });
+
+  test('should match authors', async () => {
+    const custom = createCustomRule({ name: 'bots', match: { authors: ['dependabot[bot]'] } });
+
+    expect(await custom.evaluate(makePR({ user: { login: 'dependabot[bot]' } }), makeContext())).not.toBeNull();
+    expect(await custom.evaluate(makePR(), makeContext())).toBeNull();
+  });
+
+  test('should match on size using full PR details', async () => {
+    const custom = createCustomRule({ name: 'large', match: { 'min-size': 500 } });
+    const ctx = makeContext({ getDetails: jest.fn().mockResolvedValue({ additions: 450, deletions: 100 }) });
+
+    const entry = await custom.evaluate(makePR(), ctx);
+
+    expect(entry.size).toBe(550);
+    expect(custom.render(entry)).toContain('Size: **550 lines**');
+    expect(await custom.evaluate(makePR(), makeContext())).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+const { parseTemplate, renderTemplate } = require('../template');
+
+describe('Template', () => {
+  test('should interpolate variables, dotted names and the current item', () => {
+    const view = { name: 'stalled', pr: { number: 3 }, list: ['a', 'b'] };
+
+    expect(renderTemplate('{{name}} #{{pr.number}} {{missing}}', view)).toBe('stalled #3 ');
+    expect(renderTemplate('{{#list}}[{{.}}]{{/list}}', view)).toBe('[a][b]');
+    expect(renderTemplate('{{{name}}} {{& name}}', view)).toBe('stalled stalled');
+  });
+
+  test('should not escape Markdown or HTML', () => {
+    expect(renderTemplate('{{title}}', { title: '<b>Fix</b> & `code`' })).toBe('<b>Fix</b> & `code`');
+  });
+
+  test('should loop over lists and resolve names from enclosing contexts', () => {
+    const view = {
+      heading: 'Stalled',
+      entries: [{ number: 1 }, { number: 2, heading: 'own' }]
+    };
+
+    expect(renderTemplate('{{#entries}}{{number}}:{{heading}} {{/entries}}', view)).toBe('1:Stalled 2:own ');
+  });
+
+  test('should render sections for truthy values and inverted sections for falsy ones', () => {
+    const template = '{{#ok}}yes {{label}}{{/ok}}{{^ok}}no{{/ok}}';
+
+    expect(renderTemplate(template, { ok: { label: 'x' } })).toBe('yes x');
+    expect(renderTemplate(template, { ok: false })).toBe('no');
+    expect(renderTemplate(template, { ok: [] })).toBe('no');
+    expect(renderTemplate(template, { ok: 0 })).toBe('no');
+  });
+
+  test('should drop lines holding only section or comment tags', () => {
+    const template = '# Title\n{{! note }}\n  {{#items}}\n- {{.}}\n  {{/items}}\nEnd\n';
+
+    expect(renderTemplate(template, { items: [1, 2] })).toBe('# Title\n- 1\n- 2\nEnd\n');
+    expect(renderTemplate('a {{#x}}b{{/x}}\nc', { x: true })).toBe('a b\nc');
+  });
+
+  test('should reject unbalanced sections', () => {
+    expect(() => parseTemplate('{{#a}}x')).toThrow('Unclosed section {{#a}}');
+    expect(() => parseTemplate('{{#a}}x{{/b}}')).toThrow('Unexpected {{/b}} (expected {{/a}})');
+    expect(() => parseTemplate('x{{/b}}')).toThrow('Unexpected {{/b}}');
+  });
+});
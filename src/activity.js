@@ -0,0 +1,118 @@
+/**
+ * Last meaningful activity on a pull request, computed from its timeline
+ * Bot accounts, ignored actors and ignored event types do not count, so labels,
+ * bot comments and the monitor's own reminders do not reset the stall clock
+ */
+
+// Timeline events that represent someone working on the PR
+const ACTIVITY_EVENTS = ['committed', 'reviewed', 'commented', 'line-commented', 'head_ref_force_pushed', 'ready_for_review', 'reopened'];
+
+// Timeline events that add commits to the PR's branch
+const PUSH_EVENTS = ['committed', 'head_ref_force_pushed'];
+
+/**
+ * Check whether an account is a bot
+ *
+ * @param {Object} user - GitHub user ({ login, type })
+ * @returns {boolean} True for bot accounts
+ */
+function isBot(user) {
+  return Boolean(user) && (user.type === 'Bot' || /\[bot\]$/i.test(user.login || ''));
+}
+
+/**
+ * Extract (actor, date) pairs from a timeline event
+ * Commits only carry the git author name, which bots also set to `name[bot]`
+ */
+function _activities(event) {
+  switch (event.event) {
+    case 'committed':
+      return [{
+        actor: { login: event.author && event.author.name },
+        date: event.committer ? event.committer.date : event.author && event.author.date
+      }];
+    case 'reviewed':
+      return [{ actor: event.user, date: event.submitted_at }];
+    case 'line-commented':
+      return (event.comments || []).map(c => ({ actor: c.user, date: c.created_at }));
+    default:
+      return [{ actor: event.actor || event.user, date: event.created_at }];
+  }
+}
+
+/**
+ * Find the last human activity on a pull request
+ * Falls back to the PR creation time when there is none
+ *
+ * @param {Object} pr - Pull request
+ * @param {Array} events - Timeline events from getPullRequestTimeline
+ * @param {Object} options - { ignoredActors: [], ignoredEventTypes: [] }
+ * @returns {Date} Time of the last counted activity
+ */
+function getLastActivity(pr, events, options = {}) {
+  const ignoredActors = (options.ignoredActors || []).map(a => a.toLowerCase());
+  const eventTypes = ACTIVITY_EVENTS.filter(type => !(options.ignoredEventTypes || []).includes(type));
+
+  let last = new Date(pr.created_at);
+
+  for (const event of events) {
+    if (!eventTypes.includes(event.event)) {
+      continue;
+    }
+
+    for (const { actor, date } of _activities(event)) {
+      if (!date || !actor || isBot(actor) || ignoredActors.includes((actor.login || '').toLowerCase())) {
+        continue;
+      }
+
+      const time = new Date(date);
+      if (time > last) {
+        last = time;
+      }
+    }
+  }
+
+  return last;
+}
+
+/**
+ * Find the author's last activity on a pull request: a push, or a comment or review by the author
+ * The timeline only names a commit's git author, rarely the author's login, so any human push counts
+ *
+ * @param {Object} pr - Pull request
+ * @param {Array} events - Timeline events from getPullRequestTimeline
+ * @returns {Date|null} Time of the author's last activity, or null when there is none
+ */
+function getLastAuthorActivity(pr, events) {
+  const author = pr.user.login.toLowerCase();
+  let last = null;
+
+  for (const event of events) {
+    if (!ACTIVITY_EVENTS.includes(event.event)) {
+      continue;
+    }
+
+    for (const { actor, date } of _activities(event)) {
+      if (!date || !actor || isBot(actor)) {
+        continue;
+      }
+      if (!PUSH_EVENTS.includes(event.event) && (actor.login || '').toLowerCase() !== author) {
+        continue;
+      }
+
+      const time = new Date(date);
+      if (!last || time > last) {
+        last = time;
+      }
+    }
+  }
+
+  return last;
+}
+
+module.exports = {
+  ACTIVITY_EVENTS,
+  isBot,
+  getLastActivity,
+  getLastAuthorActivity
+};
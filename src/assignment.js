@@ -0,0 +1,88 @@
+/**
+ * Choosing which code owners to assign to a PR or to request reviews from
+ *
+ * Strategies:
+ * - all: every matched owner
+ * - round-robin: owners in rotation, starting at an offset derived from the PR number,
+ *   so consecutive PRs start with different owners without keeping state between runs
+ * - least-loaded: owners with the fewest open assignments and review requests first
+ */
+const ASSIGNMENT_STRATEGIES = ['all', 'round-robin', 'least-loaded'];
+
+// Teams (`org/team`) are keyed by slug, which is all a PR's requested_teams carry
+function _key(owner) {
+  return owner.includes('/') ? `team:${owner.split('/').pop().toLowerCase()}` : owner.toLowerCase();
+}
+
+/**
+ * Count each user's and team's open assignments and pending review requests
+ *
+ * @param {Array} pullRequests - Open pull requests
+ * @returns {Map} Lower-cased login (or "team:<slug>") -> number of open PRs waiting on them
+ */
+function countOpenWork(pullRequests) {
+  const workload = new Map();
+  for (const pr of pullRequests) {
+    const people = new Set([
+      ...(pr.assignees || []).map(user => _key(user.login)),
+      ...(pr.requested_reviewers || []).map(user => _key(user.login)),
+      ...(pr.requested_teams || []).map(team => `team:${team.slug.toLowerCase()}`)
+    ]);
+    people.forEach(login => workload.set(login, (workload.get(login) || 0) + 1));
+  }
+  return workload;
+}
+
+/**
+ * Record new assignments so later PRs in the same run see the updated load
+ *
+ * @param {Map} workload - Workload from countOpenWork
+ * @param {Array} logins - Newly assigned users or requested reviewers
+ */
+function addWorkload(workload, logins) {
+  logins.forEach(login => workload.set(_key(login), (workload.get(_key(login)) || 0) + 1));
+}
+
+/**
+ * Select the owners to assign to a PR or to request reviews from
+ * The PR author is never selected for their own PR
+ *
+ * @param {Object} pr - Pull request
+ * @param {Array} owners - Matched code owners, in CODEOWNERS order
+ * @param {Object} settings - { strategy, maxAssignees }; maxAssignees 0 means no limit with `all`
+ *   and one owner with round-robin and least-loaded
+ * @param {Map} workload - Workload from countOpenWork, used by least-loaded
+ * @returns {Array} Selected owners
+ */
+function selectAssignees(pr, owners, settings = {}, workload = new Map()) {
+  const author = pr.user && pr.user.login ? _key(pr.user.login) : null;
+  const candidates = owners.filter(owner => _key(owner) !== author);
+  // Rotating or balancing only makes sense with a limit, so those strategies default to one owner
+  const unlimited = settings.strategy === 'round-robin' || settings.strategy === 'least-loaded' ? 1 : candidates.length;
+  const limit = settings.maxAssignees > 0 ? settings.maxAssignees : unlimited;
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  switch (settings.strategy) {
+    case 'round-robin': {
+      const start = pr.number % candidates.length;
+      return [...candidates.slice(start), ...candidates.slice(0, start)].slice(0, limit);
+    }
+    case 'least-loaded':
+      // Array.prototype.sort is stable, so ties keep CODEOWNERS order
+      return [...candidates]
+        .sort((a, b) => (workload.get(_key(a)) || 0) - (workload.get(_key(b)) || 0))
+        .slice(0, limit);
+    default:
+      return candidates.slice(0, limit);
+  }
+}
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  countOpenWork,
+  addWorkload,
+  selectAssignees
+};
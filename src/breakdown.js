@@ -0,0 +1,71 @@
+/**
+ * Outstanding work grouped by person
+ * Authors see their flagged PRs; reviewers see the open PRs waiting on their review
+ */
+
+function _byCountThenName(a, b) {
+  return b.count - a.count || a.name.localeCompare(b.name);
+}
+
+/**
+ * Group flagged PRs by author and pending review requests by reviewer
+ *
+ * @param {Object} issues - Category entries keyed by rule key
+ * @param {Array} rules - Enabled rules, in report order
+ * @param {Array} openEntries - Base entries of every analyzed open PR
+ * @returns {Object} { authors: [{ name, count, prs }], reviewers: [{ name, count, requests }] }
+ *   where name is an @mention, or "team <slug>" for team review requests
+ */
+function buildPeopleBreakdown(issues, rules, openEntries) {
+  const authors = new Map();
+  rules.forEach(rule => {
+    issues[rule.key].forEach(entry => {
+      if (!authors.has(entry.author)) {
+        authors.set(entry.author, new Map());
+      }
+      const prs = authors.get(entry.author);
+      if (!prs.has(entry.number)) {
+        prs.set(entry.number, { ...entry, categories: [] });
+      }
+      prs.get(entry.number).categories.push(rule.label);
+    });
+  });
+
+  const reviewers = new Map();
+  openEntries
+    .filter(entry => !entry.draft)
+    .forEach(entry => {
+      const requested = [
+        ...(entry.requested_reviewers || []).map(user => `@${user.login}`),
+        ...(entry.requested_teams || []).map(team => `team ${team.slug}`)
+      ];
+      requested.forEach(name => {
+        if (!reviewers.has(name)) {
+          reviewers.set(name, []);
+        }
+        reviewers.get(name).push(entry);
+      });
+    });
+
+  return {
+    authors: [...authors.entries()]
+      .map(([author, prs]) => {
+        const list = [...prs.values()]
+          .sort((a, b) => b.daysSinceCreated - a.daysSinceCreated)
+          .map(pr => ({ ...pr, categoryList: pr.categories.join(', ') }));
+        return { name: `@${author}`, count: list.length, prs: list };
+      })
+      .sort(_byCountThenName),
+    reviewers: [...reviewers.entries()]
+      .map(([name, requests]) => ({
+        name,
+        count: requests.length,
+        requests: [...requests].sort((a, b) => b.daysSinceCreated - a.daysSinceCreated)
+      }))
+      .sort(_byCountThenName)
+  };
+}
+
+module.exports = {
+  buildPeopleBreakdown
+};
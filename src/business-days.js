@@ -0,0 +1,88 @@
+/**
+ * Age calculations in calendar days or working days
+ */
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Check whether a string is a timezone known to Intl
+ *
+ * @param {string} timeZone - IANA timezone name, e.g. Europe/Berlin
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function localDate(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Count working days after `from` up to and including `to`, in the given timezone
+ * A PR opened on Friday is 1 working day old on Monday with a sat/sun weekend
+ *
+ * @param {Date} from - Start instant
+ * @param {Date} to - End instant
+ * @param {Object} options - { timezone, weekend: ['sat', 'sun'], holidays: ['YYYY-MM-DD'] }
+ * @returns {number} Whole working days
+ */
+function countWorkingDays(from, to, options) {
+  const weekend = new Set(options.weekend);
+  const holidays = new Set(options.holidays);
+  const start = Date.parse(`${localDate(from, options.timezone)}T00:00:00Z`);
+  const end = Date.parse(`${localDate(to, options.timezone)}T00:00:00Z`);
+
+  let count = 0;
+  for (let day = start + MS_PER_DAY; day <= end; day += MS_PER_DAY) {
+    const date = new Date(day);
+    const isWeekend = weekend.has(WEEKDAYS[date.getUTCDay()]);
+    const isHoliday = holidays.has(date.toISOString().split('T')[0]);
+    if (!isWeekend && !isHoliday) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Create the function used to compute PR ages
+ *
+ * @param {Object} workingDays - { enabled, timezone, weekend, holidays }
+ * @returns {Function} (from, now) => age in days (fractional for calendar days)
+ */
+function createAgeCalculator(workingDays) {
+  if (!workingDays || !workingDays.enabled) {
+    return (from, now) => (now - from) / MS_PER_DAY;
+  }
+
+  return (from, now) => countWorkingDays(from, now, workingDays);
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimezone,
+  localDate,
+  countWorkingDays,
+  createAgeCalculator
+};
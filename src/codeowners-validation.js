@@ -0,0 +1,219 @@
+const core = require('@actions/core');
+const githubService = require('./github-service');
+const codeowners = require('./codeowners');
+
+/**
+ * CODEOWNERS health checks on the default branch
+ * Errors are lines or owners GitHub ignores; warnings are rules that work but can never
+ * take effect. Each problem is { lines, message }
+ */
+const FAIL_ON = ['never', 'error', 'warning'];
+
+const WRITE_PERMISSIONS = ['admin', 'write'];
+
+// Indexes of the rules matching a file, in file order; the last one decides its owners
+function _matchingRules(file, rules) {
+  return rules.reduce((matches, rule, index) => {
+    if (codeowners.matchPattern(file, rule.pattern)) {
+      matches.push(index);
+    }
+    return matches;
+  }, []);
+}
+
+/**
+ * Find rules that never decide any file's owners because a later rule always matches too
+ *
+ * @param {Array} rules - Parsed CODEOWNERS rules
+ * @param {Array} files - Repository file paths
+ * @returns {Array} Warnings for rules that match no files or are fully shadowed
+ */
+function findShadowedRules(rules, files) {
+  const matched = rules.map(() => false);
+  const wins = rules.map(() => false);
+  const shadowedBy = rules.map(() => new Set());
+
+  for (const file of files) {
+    const matches = _matchingRules(file, rules);
+    const winner = matches[matches.length - 1];
+    matches.forEach(index => {
+      matched[index] = true;
+      if (index === winner) {
+        wins[index] = true;
+      } else {
+        shadowedBy[index].add(rules[winner].line);
+      }
+    });
+  }
+
+  const warnings = [];
+  rules.forEach((rule, index) => {
+    if (!matched[index]) {
+      warnings.push({ lines: [rule.line], message: `"${rule.pattern}" matches no files` });
+    } else if (!wins[index]) {
+      const later = [...shadowedBy[index]].sort((a, b) => a - b).join(', ');
+      warnings.push({
+        lines: [rule.line],
+        message: `"${rule.pattern}" is overridden for every file it matches by line${shadowedBy[index].size > 1 ? 's' : ''} ${later}`
+      });
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Measure how much of the repository has an owner
+ * A file is unowned when no rule matches it or the last match lists no owners; email owners count
+ *
+ * @param {Array} rules - Parsed CODEOWNERS rules
+ * @param {Array} files - Repository file paths
+ * @returns {Object} { files, ownedFiles, unownedFiles, percent, unownedDirectories: [{ path, files }] }
+ *   listing the top-most directories in which no file has an owner
+ */
+function computeCoverage(rules, files) {
+  // Per directory ('' is the root): total and unowned file counts
+  const directories = new Map();
+  let unownedFiles = 0;
+
+  for (const file of files) {
+    const matches = _matchingRules(file, rules);
+    const decidingRule = matches.length > 0 ? rules[matches[matches.length - 1]] : null;
+    const owned = Boolean(decidingRule) && decidingRule.owners.length + decidingRule.emails.length > 0;
+    if (!owned) {
+      unownedFiles++;
+    }
+
+    const segments = file.split('/').slice(0, -1);
+    for (let depth = 0; depth <= segments.length; depth++) {
+      const directory = segments.slice(0, depth).join('/');
+      const counts = directories.get(directory) || { total: 0, unowned: 0 };
+      counts.total++;
+      counts.unowned += owned ? 0 : 1;
+      directories.set(directory, counts);
+    }
+  }
+
+  const isUnowned = directory => {
+    const counts = directories.get(directory);
+    return counts.unowned === counts.total;
+  };
+  const unownedDirectories = [...directories.keys()]
+    .filter(directory => isUnowned(directory))
+    .filter(directory => directory === '' || !isUnowned(directory.split('/').slice(0, -1).join('/')))
+    .sort()
+    .map(directory => ({ path: directory === '' ? '/' : `${directory}/`, files: directories.get(directory).total }));
+
+  return {
+    files: files.length,
+    ownedFiles: files.length - unownedFiles,
+    unownedFiles,
+    percent: files.length === 0 ? 100 : Math.floor(((files.length - unownedFiles) / files.length) * 1000) / 10,
+    unownedDirectories
+  };
+}
+
+/**
+ * Check that every owner is a user or team with write access; GitHub ignores other owners
+ *
+ * @param {Array} rules - Parsed CODEOWNERS rules
+ * @returns {Array} Errors, one per invalid owner with every line it appears on
+ */
+async function checkOwnerAccess(rules) {
+  const lines = new Map();
+  rules.forEach(rule => rule.owners.forEach(owner => {
+    lines.set(owner, [...(lines.get(owner) || []), rule.line]);
+  }));
+
+  const errors = [];
+  for (const [owner, ownerLines] of lines) {
+    let problem = null;
+    if (owner.includes('/')) {
+      const [org, team] = owner.split('/');
+      const permissions = await githubService.getTeamPermissions(org, team);
+      if (!permissions) {
+        problem = 'does not exist or has no access to this repository';
+      } else if (!permissions.admin && !permissions.maintain && !permissions.push) {
+        problem = 'does not have write access';
+      }
+    } else {
+      const permission = await githubService.getUserPermission(owner);
+      if (!permission) {
+        // A 404 can't tell a missing user from one without access to this repository
+        problem = 'was not found or has no access to this repository';
+      } else if (!WRITE_PERMISSIONS.includes(permission)) {
+        problem = 'does not have write access';
+      }
+    }
+
+    if (problem) {
+      errors.push({ lines: ownerLines, message: `@${owner} ${problem}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate the default branch's CODEOWNERS file
+ *
+ * @returns {Object} { path, errors, warnings, coverage }; coverage is null when the
+ *   file or the repository tree can't be read
+ */
+async function validateCodeowners() {
+  const file = await codeowners.findCodeowners();
+  if (!file) {
+    core.warning('⚠️  CODEOWNERS validation: no CODEOWNERS file found');
+    return {
+      path: null,
+      errors: [{ lines: [], message: `No CODEOWNERS file found (looked for ${codeowners.CODEOWNERS_PATHS.join(', ')})` }],
+      warnings: [],
+      coverage: null
+    };
+  }
+
+  const syntaxErrors = [];
+  const rules = codeowners.parseCodeowners(file.content, syntaxErrors);
+  const errors = [
+    ...syntaxErrors.map(({ line, message }) => ({ lines: [line], message })),
+    ...await checkOwnerAccess(rules)
+  ].sort((a, b) => a.lines[0] - b.lines[0]);
+
+  const warnings = [];
+  let coverage = null;
+  const tree = await githubService.getRepositoryTree();
+  if (tree) {
+    if (tree.truncated) {
+      warnings.push({ lines: [], message: 'The repository is too large to list completely, so shadowing and coverage only cover part of it' });
+    }
+    warnings.push(...findShadowedRules(rules, tree.paths));
+    coverage = computeCoverage(rules, tree.paths);
+  }
+
+  core.info(`🗂️ Validated ${file.path}: ${errors.length} errors, ${warnings.length} warnings` +
+    (coverage ? `, ${coverage.percent}% of files owned` : ''));
+  return { path: file.path, errors, warnings, coverage };
+}
+
+/**
+ * Whether validation results should fail the run
+ * With `warning`, unowned files count as warnings too
+ *
+ * @param {Object} result - Result of validateCodeowners
+ * @param {string} failOn - never, error or warning
+ * @returns {boolean}
+ */
+function validationFailed(result, failOn) {
+  if (failOn === 'never') {
+    return false;
+  }
+  const warnings = result.warnings.length + (result.coverage ? result.coverage.unownedFiles : 0);
+  return result.errors.length > 0 || (failOn === 'warning' && warnings > 0);
+}
+
+module.exports = {
+  FAIL_ON,
+  findShadowedRules,
+  computeCoverage,
+  checkOwnerAccess,
+  validateCodeowners,
+  validationFailed
+};
@@ -1,59 +1,119 @@
 const core = require('@actions/core');
-const { getContent, getPullRequestFiles, assignPullRequest } = require('./github-service');
+const {
+  getContent,
+  getPullRequestFiles,
+  listTeamMembers,
+  hasRecentActivity,
+  assignPullRequest,
+  requestReviewers
+} = require('./github-service');
+
+const { latestReviews } = require('./rules/common');
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// GitHub uses the first of these it finds
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Find the CODEOWNERS file GitHub would use
+ * Searches the standard locations in GitHub's order: .github/CODEOWNERS, CODEOWNERS, docs/CODEOWNERS
+ *
+ * @param {string} [ref] - Branch to read from; the default branch when omitted
+ * @returns {Object|null} { path, content } or null if not found
+ */
+async function findCodeowners(ref) {
+  for (const path of CODEOWNERS_PATHS) {
+    const data = await getContent(path, ref);
+    if (data && data.content) {
+      core.debug(`Found CODEOWNERS at: ${path}${ref ? ` on ${ref}` : ''}`);
+      return { path, content: Buffer.from(data.content, 'base64').toString('utf-8') };
+    }
+  }
+
+  return null;
+}
 
 /**
  * Load CODEOWNERS file from repository
- * Searches in standard locations: CODEOWNERS, .github/CODEOWNERS, docs/CODEOWNERS
  *
+ * @param {string} [ref] - Branch to read from; the default branch when omitted
  * @returns {Array|null} Array of parsed CODEOWNERS rules or null if not found
  */
-async function loadCodeowners() {
-  const path = 'CODEOWNERS';
+async function loadCodeowners(ref) {
+  const file = await findCodeowners(ref);
+  return file ? parseCodeowners(file.content) : null;
+}
 
-  const data = await getContent(path);
-  if (data && data.content) {
-    const content = Buffer.from(data.content, 'base64').toString('utf-8');
-    core.debug(`Found CODEOWNERS at: ${path}`);
-    return parseCodeowners(content);
-  }
+// Enterprise managed user logins carry an `_shortcode` suffix, e.g. @octocat_acme
+const USER_OWNER = /^@[A-Za-z0-9](?:[A-Za-z0-9_-]*[A-Za-z0-9])?$/;
+const TEAM_OWNER = /^@[A-Za-z0-9][A-Za-z0-9-]*\/[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const EMAIL_OWNER = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
 
+/**
+ * Find gitignore syntax that GitHub does not support in CODEOWNERS
+ */
+function _patternError(pattern) {
+  if (pattern.startsWith('!')) {
+    return `negated pattern "${pattern}" is not supported`;
+  }
+  if (pattern.startsWith('\\#')) {
+    return `escaped "#" in "${pattern}" is not supported`;
+  }
+  if (/(^|[^\\])[[\]]/.test(pattern)) {
+    return `character range in "${pattern}" is not supported`;
+  }
   return null;
 }
 
 /**
  * Parse CODEOWNERS file content into structured rules
+ * A pattern without owners is kept: it clears ownership of the paths it matches.
+ * Email owners still own their paths but can't be assigned or asked for a review, so they
+ * are kept apart in `emails`.
+ * Like GitHub, lines with invalid syntax are skipped
  *
  * @param {string} content - Raw CODEOWNERS file content
- * @returns {Array} Array of rules with pattern and owners
+ * @param {Array} [errors] - Collects { line, message } for each skipped line
+ * @returns {Array} Array of rules with line number, pattern, owners (users as `login`, teams as `org/team`)
+ *   and emails
  */
-function parseCodeowners(content) {
+function parseCodeowners(content, errors = []) {
   const rules = [];
   const lines = content.split('\n');
 
-  for (const line of lines) {
+  lines.forEach((line, index) => {
     const trimmed = line.trim();
 
     // Skip empty lines and comments
     if (!trimmed || trimmed.startsWith('#')) {
-      continue;
+      return;
     }
 
-    // Parse pattern and owners
-    const parts = trimmed.split(/\s+/);
-    if (parts.length < 2) {
-      continue;
+    // Split on whitespace that isn't escaped (`\ ` in paths), up to a trailing comment
+    const parts = trimmed.match(/(?:\\.|\S)+/g);
+    const commentIndex = parts.findIndex(part => part.startsWith('#'));
+    const fields = commentIndex === -1 ? parts : parts.slice(0, commentIndex);
+
+    const pattern = fields[0];
+    const invalidOwners = fields.slice(1)
+      .filter(owner => !USER_OWNER.test(owner) && !TEAM_OWNER.test(owner) && !EMAIL_OWNER.test(owner));
+    const error = _patternError(pattern) ||
+      (invalidOwners.length > 0 && `"${invalidOwners.join('", "')}" is not a @user, @org/team or email address`);
+    if (error) {
+      errors.push({ line: index + 1, message: error });
+      core.debug(`Skipping CODEOWNERS line ${index + 1}: ${error}`);
+      return;
     }
 
-    const pattern = parts[0];
-    const owners = parts.slice(1)
-      .map(owner => owner.replace('@', '')) // Remove @ prefix
-      .filter(owner => !owner.includes('/')); // Only individual users, not teams
+    const owners = fields.slice(1)
+      .filter(owner => owner.startsWith('@'))
+      .map(owner => owner.slice(1)); // Remove @ prefix
+    const emails = fields.slice(1).filter(owner => !owner.startsWith('@'));
 
-    if (owners.length > 0) {
-      rules.push({ pattern, owners });
-      core.debug(`Parsed rule: ${pattern} -> [${owners.join(', ')}]`);
-    }
-  }
+    rules.push({ line: index + 1, pattern, owners, emails });
+    core.debug(`Parsed rule: ${pattern} -> [${owners.join(', ')}]`);
+  });
 
   return rules;
 }
@@ -63,11 +123,12 @@ function parseCodeowners(content) {
  *
  * @param {number} prNumber - Pull request number
  * @param {Array} codeowners - Parsed CODEOWNERS rules
+ * @param {Array} [prefetchedFiles] - Changed files already loaded (e.g. from the GraphQL snapshot)
  * @returns {Array} Array of owner usernames
  */
-async function getPRCodeowners(prNumber, codeowners) {
-  const files = await getPullRequestFiles(prNumber);
-  
+async function getPRCodeowners(prNumber, codeowners, prefetchedFiles) {
+  const files = prefetchedFiles || await getPullRequestFiles(prNumber);
+
   core.debug(`PR #${prNumber} has ${files.length} changed files`);
 
   const allOwners = new Set();
@@ -94,77 +155,221 @@ async function getPRCodeowners(prNumber, codeowners) {
  * @returns {Array} Array of owner usernames
  */
 function matchFileToOwners(filename, codeowners) {
-  let matchedOwners = [];
+  const rule = _decidingRule(filename, codeowners);
+  return rule ? rule.owners : [];
+}
 
-  // CODEOWNERS rules are processed in order, last match wins
+// CODEOWNERS rules are processed in order, last match wins
+function _decidingRule(filename, codeowners) {
+  let decidingRule = null;
   for (const rule of codeowners) {
     if (matchPattern(filename, rule.pattern)) {
-      matchedOwners = rule.owners;
+      decidingRule = rule;
+    }
+  }
+  return decidingRule;
+}
+
+/**
+ * Group changed files by the CODEOWNERS rule that decides their owners
+ * Files without owners need no code-owner approval and are left out
+ *
+ * @param {Array} files - Changed files ({ filename })
+ * @param {Array} codeowners - Parsed CODEOWNERS rules
+ * @returns {Array} Groups in CODEOWNERS order: { pattern, owners, files }
+ */
+function groupFilesByOwner(files, codeowners) {
+  const groups = new Map();
+
+  for (const file of files) {
+    const rule = _decidingRule(file.filename, codeowners);
+    if (!rule || rule.owners.length === 0) {
+      continue;
+    }
+    if (!groups.has(rule)) {
+      groups.set(rule, { pattern: rule.pattern, owners: rule.owners, files: [] });
     }
+    groups.get(rule).files.push(file.filename);
   }
 
-  return matchedOwners;
+  return codeowners.filter(rule => groups.has(rule)).map(rule => groups.get(rule));
 }
 
 /**
- * Check if a file matches a CODEOWNERS pattern
- * Supports:
- * - Exact matches: /path/to/file.js
- * - Directory matches: /path/to/dir/
- * - Wildcard matches: *.js
- * - Double wildcards: **\/*.test.js
- * - Glob patterns: /src/**\/*.js
+ * Find the owner groups that no owner has approved yet
+ * A group is approved when the latest verdict of one of its users, or of a member of one
+ * of its teams, is an approval. Teams whose members can't be listed never approve
  *
- * @param {string} filename - File path to match
- * @param {string} pattern - CODEOWNERS pattern
- * @returns {boolean} True if file matches pattern
+ * @param {Array} groups - Groups from groupFilesByOwner
+ * @param {Array} reviews - Pull request reviews
+ * @returns {Array} Groups still waiting on a code owner
  */
-function matchPattern(filename, pattern) {
-  // Match everything
-  if (pattern === '*') {
-    return true;
+async function findUnapprovedGroups(groups, reviews) {
+  const approvers = new Set([...latestReviews(reviews)]
+    .filter(([login, review]) => login && review.state === 'APPROVED')
+    .map(([login]) => login));
+
+  const unapproved = [];
+  for (const group of groups) {
+    if (!(await _approvedByOwner(group.owners, approvers))) {
+      unapproved.push(group);
+    }
   }
+  return unapproved;
+}
 
-  // Normalize paths - remove leading slash for comparison
-  const file = filename.startsWith('/') ? filename.slice(1) : filename;
-  const pat = pattern.startsWith('/') ? pattern.slice(1) : pattern;
+async function _approvedByOwner(owners, approvers) {
+  if (approvers.size === 0) {
+    return false;
+  }
+
+  for (const owner of owners) {
+    if (!owner.includes('/')) {
+      if (approvers.has(owner.toLowerCase())) {
+        return true;
+      }
+      continue;
+    }
 
-  // Exact match
-  if (file === pat) {
-    return true;
+    const [org, team] = owner.split('/');
+    const members = await listTeamMembers(org, team);
+    if (members && members.some(member => approvers.has(member.toLowerCase()))) {
+      return true;
+    }
   }
+  return false;
+}
 
-  // Directory match (pattern ends with /)
-  if (pat.endsWith('/')) {
-    const dir = pat.slice(0, -1);
-    return file.startsWith(dir + '/') || file === dir;
+function _escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Translate one path segment: `*` and `?` never match a slash, `\` escapes the next character
+ */
+function _segmentRegex(segment) {
+  let regex = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === '\\' && i + 1 < segment.length) {
+      regex += _escapeRegex(segment[++i]);
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += _escapeRegex(char);
+    }
   }
+  return regex;
+}
 
-  // Extension match (e.g., *.js)
-  if (pat.startsWith('*.')) {
-    const ext = pat.slice(1);
-    return file.endsWith(ext);
+/**
+ * Compile a CODEOWNERS pattern to a regular expression over repository-relative paths
+ */
+function _compilePattern(pattern) {
+  const directoryOnly = pattern.length > 1 && pattern.endsWith('/');
+  let segments = pattern.split('/');
+  if (segments[0] === '') {
+    segments = segments.slice(1);
+  }
+  if (directoryOnly) {
+    segments = segments.slice(0, -1);
   }
 
-  // Wildcard patterns
-  if (pat.includes('*')) {
-    const regexPattern = pat
-      .replace(/\./g, '\\.') // Escape dots
-      .replace(/\*\*\//g, '(.*\\/)?') // **/ means "zero or more directories" - handle BEFORE **
-      .replace(/\/\*\*/g, '(\\/.*)?') // /** means "slash followed by anything"
-      .replace(/\*\*/g, '.*') // ** alone means "anything"
-      .replace(/\*/g, '[^/]*'); // * matches anything except /
+  // A slash at the start or in the middle anchors the pattern to the repository root;
+  // otherwise it matches at any depth
+  const anchored = pattern.startsWith('/') || segments.length > 1;
+  if (!anchored && segments[0] !== '**') {
+    segments = ['**', ...segments];
+  }
+
+  let regex = '';
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    if (segment === '**') {
+      regex += last ? '.*' : '(?:.*/)?';
+    } else {
+      regex += _segmentRegex(segment) + (last ? '' : '/');
+    }
+  });
+
+  if (directoryOnly) {
+    // Only directories match, and a directory owns everything below it
+    regex += '/.*';
+  } else if (segments[segments.length - 1] !== '*') {
+    // A match may be a directory; `docs/*` only covers the files directly in docs
+    regex += '(?:/.*)?';
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+const _compiledPatterns = new Map();
 
-    const regex = new RegExp(`^${regexPattern}$`);
-    return regex.test(file);
+/**
+ * Check if a file matches a CODEOWNERS pattern
+ * Follows GitHub's CODEOWNERS rules, which are gitignore rules except that `!` negation,
+ * `[ ]` character ranges and `\#` escapes are not supported:
+ * - `*` and `?` match within a path segment, `**` across segments
+ * - A leading or middle slash anchors the pattern to the root; `*.js` and `apps/` match at any depth
+ * - A trailing slash matches directories only
+ * - A matching directory owns everything below it
+ * - Paths are case-sensitive
+ *
+ * @param {string} filename - File path to match
+ * @param {string} pattern - CODEOWNERS pattern
+ * @returns {boolean} True if file matches pattern
+ */
+function matchPattern(filename, pattern) {
+  if (!_compiledPatterns.has(pattern)) {
+    _compiledPatterns.set(pattern, _compilePattern(pattern));
   }
 
-  // Prefix match (directory without trailing slash)
-  if (!pat.includes('.') && !pat.includes('*')) {
-    return file.startsWith(pat + '/') || file === pat;
+  const file = filename.startsWith('/') ? filename.slice(1) : filename;
+  return _compiledPatterns.get(pattern).test(file);
+}
+
+/**
+ * Replace team owners with their members, for assignment
+ * Members come first in team order, duplicates (case-insensitive) are dropped
+ *
+ * @param {Array} owners - Owner usernames and `org/team` names
+ * @param {Object} settings - { inactiveMemberDays }; members with no PR activity in the
+ *   repository for that many days are left out. 0 keeps every member
+ * @returns {Array} Owner usernames
+ */
+async function expandTeamOwners(owners, settings = {}) {
+  const since = settings.inactiveMemberDays > 0
+    ? new Date(Date.now() - settings.inactiveMemberDays * MS_PER_DAY)
+    : null;
+  const expanded = new Map();
+
+  for (const owner of owners) {
+    if (!owner.includes('/')) {
+      expanded.set(owner.toLowerCase(), owner);
+      continue;
+    }
+
+    const [org, team] = owner.split('/');
+    const members = await listTeamMembers(org, team);
+    if (!members) {
+      continue;
+    }
+
+    for (const member of members) {
+      if (expanded.has(member.toLowerCase())) {
+        continue;
+      }
+      if (since && !(await hasRecentActivity(member, since))) {
+        core.debug(`Skipping inactive member ${member} of ${owner}`);
+        continue;
+      }
+      expanded.set(member.toLowerCase(), member);
+    }
   }
 
-  return false;
+  return [...expanded.values()];
 }
 
 /**
@@ -178,11 +383,30 @@ async function assignPRToOwners(prNumber, owners) {
   return await assignPullRequest(prNumber, owners);
 }
 
+/**
+ * Request reviews on a pull request from its CODEOWNERS
+ *
+ * @param {number} prNumber - Pull request number
+ * @param {Array} owners - Owner usernames and `org/team` names
+ * @returns {boolean} True if the request was successful
+ */
+async function requestOwnerReviews(prNumber, owners) {
+  const reviewers = owners.filter(owner => !owner.includes('/'));
+  const teamReviewers = owners.filter(owner => owner.includes('/')).map(team => team.split('/').pop());
+  return await requestReviewers(prNumber, reviewers, teamReviewers);
+}
+
 module.exports = {
+  CODEOWNERS_PATHS,
+  findCodeowners,
   loadCodeowners,
   parseCodeowners,
   getPRCodeowners,
   matchFileToOwners,
+  groupFilesByOwner,
+  findUnapprovedGroups,
   matchPattern,
-  assignPRToOwners
+  expandTeamOwners,
+  assignPRToOwners,
+  requestOwnerReviews
 };
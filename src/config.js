@@ -0,0 +1,730 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+const { getContent } = require('./github-service');
+const { SEVERITIES, BUILT_IN_RULE_NAMES } = require('./rules');
+const { WEEKDAYS, isValidTimezone } = require('./business-days');
+const { ACTIVITY_EVENTS } = require('./activity');
+const { parseTemplate } = require('./template');
+const { ASSIGNMENT_STRATEGIES } = require('./assignment');
+const { FAIL_ON } = require('./codeowners-validation');
+const DEFAULT_TEMPLATES = require('./default-templates');
+
+const ACTIVITY_SOURCES = ['updated-at', 'timeline'];
+const ISSUE_MODES = ['create', 'update'];
+
+const DEFAULT_CONFIG_FILE = '.github/pr-monitor.yml';
+const DEFAULT_HISTORY_PATH = 'history.json';
+const DEFAULT_MAX_SNAPSHOTS = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const THRESHOLD_SCHEMA = {
+  'stale-days': { type: 'integer' },
+  'old-days': { type: 'integer' },
+  'needs-review-days': { type: 'integer' },
+  'approved-unmerged-days': { type: 'integer' },
+  'author-idle-days': { type: 'integer' }
+};
+
+// Webhook URLs are secrets, so they only come from inputs, never from the committed file
+const NOTIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    'categories': { type: 'array', items: { type: 'string' } }
+  }
+};
+
+/**
+ * Schema for .github/pr-monitor.yml
+ * Supported types: integer (non-negative), boolean, string, enum, array, object
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    'thresholds': { type: 'object', properties: THRESHOLD_SCHEMA },
+    'blocked-labels': { type: 'array', items: { type: 'string' } },
+    'label-rules': {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label'],
+        properties: {
+          'label': { type: 'string' },
+          'ignore': { type: 'boolean' },
+          ...THRESHOLD_SCHEMA
+        }
+      }
+    },
+    'ignore-drafts': { type: 'boolean' },
+    'create-issue': { type: 'boolean' },
+    'issue-labels': { type: 'array', items: { type: 'string' } },
+    'issue-mode': { type: 'enum', values: ISSUE_MODES },
+    'issue-diff-comment': { type: 'boolean' },
+    'close-issue-when-clear': { type: 'boolean' },
+    'auto-comment': { type: 'boolean' },
+    'comment-message': { type: 'string' },
+    'auto-assign-codeowners': { type: 'boolean' },
+    'request-codeowner-reviews': { type: 'boolean' },
+    'check-codeowner-approval': { type: 'boolean' },
+    'assignment': {
+      type: 'object',
+      properties: {
+        'strategy': { type: 'enum', values: ASSIGNMENT_STRATEGIES },
+        'max-assignees': { type: 'integer' },
+        'inactive-member-days': { type: 'integer' }
+      }
+    },
+    'data-source': { type: 'enum', values: ['rest', 'graphql'] },
+    'check-status-and-conflicts': { type: 'boolean' },
+    'group-by-person': { type: 'boolean' },
+    'activity': {
+      type: 'object',
+      properties: {
+        'source': { type: 'enum', values: ACTIVITY_SOURCES },
+        'ignored-actors': { type: 'array', items: { type: 'string' } },
+        'ignored-event-types': { type: 'array', items: { type: 'enum', values: ACTIVITY_EVENTS } }
+      }
+    },
+    'working-days': {
+      type: 'object',
+      properties: {
+        'enabled': { type: 'boolean' },
+        'timezone': { type: 'string' },
+        'weekend': { type: 'array', items: { type: 'enum', values: WEEKDAYS } },
+        'holidays': { type: 'array', items: { type: 'string' } }
+      }
+    },
+    'metrics': {
+      type: 'object',
+      properties: {
+        'enabled': { type: 'boolean' },
+        'lookback-days': { type: 'integer' }
+      }
+    },
+    'codeowners-validation': {
+      type: 'object',
+      properties: {
+        'enabled': { type: 'boolean' },
+        'fail-on': { type: 'enum', values: FAIL_ON }
+      }
+    },
+    'history': {
+      type: 'object',
+      properties: {
+        'enabled': { type: 'boolean' },
+        'branch': { type: 'string' },
+        'path': { type: 'string' },
+        'max-snapshots': { type: 'integer' }
+      }
+    },
+    'notifications': {
+      type: 'object',
+      properties: {
+        'slack': NOTIFICATION_SCHEMA,
+        'teams': NOTIFICATION_SCHEMA
+      }
+    },
+    'templates': {
+      type: 'object',
+      properties: {
+        'report': { type: 'string' },
+        'needs-review-comment': { type: 'string' },
+        'approved-unmerged-comment': { type: 'string' },
+        'author-idle-comment': { type: 'string' },
+        'changes-comment': { type: 'string' }
+      }
+    },
+    'rules': {
+      type: 'object',
+      properties: {
+        'disable': { type: 'array', items: { type: 'enum', values: BUILT_IN_RULE_NAMES } },
+        'custom': {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'match'],
+            properties: {
+              'name': { type: 'string' },
+              'title': { type: 'string' },
+              'severity': { type: 'enum', values: SEVERITIES },
+              'match': {
+                type: 'object',
+                properties: {
+                  'title': { type: 'string' },
+                  'labels': { type: 'array', items: { type: 'string' } },
+                  'authors': { type: 'array', items: { type: 'string' } },
+                  'base-branches': { type: 'array', items: { type: 'string' } },
+                  'min-size': { type: 'integer' },
+                  'max-size': { type: 'integer' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a value against a schema node, collecting error messages
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Dotted path used in error messages
+ * @param {Array} errors - Collected error messages
+ */
+function _validate(value, schema, path, errors) {
+  const got = JSON.stringify(value);
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${path} must be a non-negative integer (got ${got})`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false (got ${got})`);
+      }
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string (got ${got})`);
+      }
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        errors.push(`${path} must be one of ${schema.values.join(', ')} (got ${got})`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be a list (got ${got})`);
+        break;
+      }
+      value.forEach((item, index) => _validate(item, schema.items, `${path}[${index}]`, errors));
+      break;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be a mapping (got ${got})`);
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (!schema.properties[key]) {
+          errors.push(`${path}.${key} is not a recognised setting`);
+          continue;
+        }
+        _validate(child, schema.properties[key], `${path}.${key}`, errors);
+      }
+      break;
+  }
+}
+
+/**
+ * @returns {string|null} Why a template cannot be parsed, or null when it is valid
+ */
+function _templateError(template) {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate a parsed config file against the schema
+ *
+ * @param {Object} raw - Parsed YAML document
+ * @returns {Array} Array of error messages, empty when valid
+ */
+function validateConfig(raw) {
+  const errors = [];
+  _validate(raw, CONFIG_SCHEMA, 'config', errors);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Checks that depend on more than one setting
+  const customRules = (raw.rules && raw.rules.custom) || [];
+  const ruleNames = [...BUILT_IN_RULE_NAMES];
+
+  customRules.forEach((rule, index) => {
+    const path = `config.rules.custom[${index}]`;
+    if (!/^[a-z][a-z0-9-]*$/.test(rule.name)) {
+      errors.push(`${path}.name must be lower-case letters, digits and dashes (got "${rule.name}")`);
+    } else if (ruleNames.includes(rule.name)) {
+      errors.push(`${path}.name "${rule.name}" is already used by another rule`);
+    }
+    ruleNames.push(rule.name);
+
+    if (rule.match.title !== undefined) {
+      try {
+        new RegExp(rule.match.title);
+      } catch (error) {
+        errors.push(`${path}.match.title is not a valid regular expression: ${error.message}`);
+      }
+    }
+    if (Object.keys(rule.match).length === 0) {
+      errors.push(`${path}.match must contain at least one condition`);
+    }
+  });
+
+  const workingDays = raw['working-days'] || {};
+  if (workingDays.timezone !== undefined && !isValidTimezone(workingDays.timezone)) {
+    errors.push(`config.working-days.timezone is not a known timezone (got "${workingDays.timezone}")`);
+  }
+  (workingDays.holidays || []).forEach((holiday, index) => {
+    if (!DATE_PATTERN.test(holiday)) {
+      errors.push(`config.working-days.holidays[${index}] must be a YYYY-MM-DD date (got "${holiday}")`);
+    }
+  });
+
+  if (raw.metrics && raw.metrics['lookback-days'] === 0) {
+    errors.push('config.metrics.lookback-days must be at least 1 (got 0)');
+  }
+
+  const history = raw.history || {};
+  if (history['max-snapshots'] === 0) {
+    errors.push('config.history.max-snapshots must be at least 1 (got 0)');
+  }
+  if (history.branch !== undefined && !history.branch.trim()) {
+    errors.push('config.history.branch must not be empty');
+  }
+
+  const templates = { ...raw.templates, 'comment-message': raw['comment-message'] };
+  for (const [name, template] of Object.entries(templates)) {
+    const path = name === 'comment-message' ? 'config.comment-message' : `config.templates.${name}`;
+    const error = template !== undefined && _templateError(template);
+    if (error) {
+      errors.push(`${path} is not a valid template: ${error}`);
+    }
+  }
+
+  for (const channel of ['slack', 'teams']) {
+    const settings = raw.notifications && raw.notifications[channel];
+    (settings && settings.categories || []).forEach((category, index) => {
+      if (!ruleNames.includes(category)) {
+        errors.push(`config.notifications.${channel}.categories[${index}] must be one of ${ruleNames.join(', ')} (got "${category}")`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Read a non-negative integer input, falling back to a default when empty
+ */
+function _integerInput(name, defaultValue, errors) {
+  const value = core.getInput(name).trim();
+  if (value === '') {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    errors.push(`Input ${name} must be a non-negative integer (got "${value}")`);
+    return defaultValue;
+  }
+  return parseInt(value);
+}
+
+/**
+ * Read a true/false input, falling back to a default when empty
+ */
+function _booleanInput(name, defaultValue, errors) {
+  const value = core.getInput(name).trim().toLowerCase();
+  if (value === '') {
+    return defaultValue;
+  }
+  if (value !== 'true' && value !== 'false') {
+    errors.push(`Input ${name} must be true or false (got "${value}")`);
+    return defaultValue;
+  }
+  return value === 'true';
+}
+
+function _listInput(name) {
+  return core.getInput(name).split(',').map(l => l.trim()).filter(Boolean);
+}
+
+/**
+ * Read the working-day inputs
+ */
+function _workingDaysInput(errors) {
+  const timezone = core.getInput('timezone') || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    errors.push(`Input timezone is not a known timezone (got "${timezone}")`);
+  }
+
+  const weekendInput = _listInput('weekend-days').map(d => d.toLowerCase());
+  const weekend = weekendInput.length > 0 ? weekendInput : ['sat', 'sun'];
+  weekend.filter(d => !WEEKDAYS.includes(d)).forEach(d => {
+    errors.push(`Input weekend-days must only contain ${WEEKDAYS.join(', ')} (got "${d}")`);
+  });
+
+  const holidays = _listInput('holidays');
+  holidays.filter(d => !DATE_PATTERN.test(d)).forEach(d => {
+    errors.push(`Input holidays must be YYYY-MM-DD dates (got "${d}")`);
+  });
+
+  return {
+    enabled: _booleanInput('business-days', false, errors),
+    timezone,
+    weekend,
+    holidays
+  };
+}
+
+/**
+ * Read the last-activity inputs
+ */
+function _activityInput(errors) {
+  const source = core.getInput('activity-source') || 'timeline';
+  if (!ACTIVITY_SOURCES.includes(source)) {
+    errors.push(`Input activity-source must be one of ${ACTIVITY_SOURCES.join(', ')} (got "${source}")`);
+  }
+
+  const ignoredEventTypes = _listInput('ignored-event-types');
+  ignoredEventTypes.filter(type => !ACTIVITY_EVENTS.includes(type)).forEach(type => {
+    errors.push(`Input ignored-event-types must only contain ${ACTIVITY_EVENTS.join(', ')} (got "${type}")`);
+  });
+
+  return {
+    source,
+    ignoredActors: _listInput('ignored-actors'),
+    ignoredEventTypes
+  };
+}
+
+/**
+ * Build the configuration from action inputs
+ *
+ * @returns {Object} Configuration object
+ */
+function getInputConfig() {
+  const errors = [];
+  const dataSource = core.getInput('data-source') || 'rest';
+  if (!['rest', 'graphql'].includes(dataSource)) {
+    errors.push(`Input data-source must be one of rest, graphql (got "${dataSource}")`);
+  }
+
+  const issueMode = core.getInput('issue-mode') || 'create';
+  if (!ISSUE_MODES.includes(issueMode)) {
+    errors.push(`Input issue-mode must be one of ${ISSUE_MODES.join(', ')} (got "${issueMode}")`);
+  }
+
+  const assignmentStrategy = core.getInput('assignment-strategy') || 'all';
+  if (!ASSIGNMENT_STRATEGIES.includes(assignmentStrategy)) {
+    errors.push(`Input assignment-strategy must be one of ${ASSIGNMENT_STRATEGIES.join(', ')} (got "${assignmentStrategy}")`);
+  }
+
+  const codeownersFailOn = core.getInput('codeowners-fail-on') || 'never';
+  if (!FAIL_ON.includes(codeownersFailOn)) {
+    errors.push(`Input codeowners-fail-on must be one of ${FAIL_ON.join(', ')} (got "${codeownersFailOn}")`);
+  }
+
+  const api = {
+    maxItems: _integerInput('max-items', 1000, errors),
+    maxRetries: _integerInput('max-retries', 3, errors),
+    maxConcurrency: _integerInput('max-concurrency', 4, errors)
+  };
+  ['maxItems', 'maxConcurrency'].filter(key => api[key] === 0).forEach(key => {
+    errors.push(`Input ${key === 'maxItems' ? 'max-items' : 'max-concurrency'} must be at least 1 (got "0")`);
+  });
+
+  const lookbackDays = _integerInput('metrics-lookback-days', 30, errors);
+  if (lookbackDays === 0) {
+    errors.push('Input metrics-lookback-days must be at least 1 (got "0")');
+  }
+
+  const commentError = _templateError(core.getInput('comment-message'));
+  if (commentError) {
+    errors.push(`Input comment-message is not a valid template: ${commentError}`);
+  }
+
+  const config = {
+    staleDays: _integerInput('stale-days', 7, errors),
+    oldDays: _integerInput('old-days', 30, errors),
+    needsReviewDays: _integerInput('needs-review-days', 2, errors),
+    approvedUnmergedDays: _integerInput('approved-unmerged-days', 3, errors),
+    authorIdleDays: _integerInput('author-idle-days', 7, errors),
+    blockedLabels: _listInput('blocked-labels'),
+    labelRules: [],
+    createIssue: _booleanInput('create-issue', true, errors),
+    issueLabels: _listInput('issue-labels'),
+    issueMode,
+    issueDiffComment: _booleanInput('issue-diff-comment', false, errors),
+    closeIssueWhenClear: _booleanInput('close-issue-when-clear', false, errors),
+    autoComment: _booleanInput('auto-comment', false, errors),
+    commentMessage: core.getInput('comment-message'),
+    templates: {
+      report: DEFAULT_TEMPLATES.REPORT,
+      needsReviewComment: DEFAULT_TEMPLATES.NEEDS_REVIEW_COMMENT,
+      approvedUnmergedComment: DEFAULT_TEMPLATES.APPROVED_UNMERGED_COMMENT,
+      authorIdleComment: DEFAULT_TEMPLATES.AUTHOR_IDLE_COMMENT,
+      changesComment: DEFAULT_TEMPLATES.CHANGES_COMMENT
+    },
+    ignoreDrafts: _booleanInput('ignore-drafts', false, errors),
+    autoAssignCodeowners: _booleanInput('auto-assign-codeowners', true, errors),
+    requestCodeownerReviews: _booleanInput('request-codeowner-reviews', false, errors),
+    checkCodeownerApproval: _booleanInput('check-codeowner-approval', false, errors),
+    assignment: {
+      strategy: assignmentStrategy,
+      maxAssignees: _integerInput('max-assignees', 0, errors),
+      inactiveMemberDays: _integerInput('inactive-member-days', 0, errors)
+    },
+    dataSource,
+    checkStatusAndConflicts: _booleanInput('check-status-and-conflicts', false, errors),
+    groupByPerson: _booleanInput('group-by-person', false, errors),
+    // Only settable as an input, so a config file change cannot turn writes back on
+    dryRun: _booleanInput('dry-run', false, errors),
+    reportJsonFile: core.getInput('report-json-file'),
+    jobSummary: _booleanInput('job-summary', true, errors),
+    // Only settable as inputs: listing cap, retries and throttling of GitHub API requests
+    api,
+    workingDays: _workingDaysInput(errors),
+    activity: _activityInput(errors),
+    metrics: {
+      enabled: _booleanInput('flow-metrics', false, errors),
+      lookbackDays
+    },
+    codeownersValidation: {
+      enabled: _booleanInput('validate-codeowners', false, errors),
+      failOn: codeownersFailOn
+    },
+    history: {
+      enabled: _booleanInput('track-history', false, errors),
+      branch: core.getInput('history-branch') || 'pr-monitor-history',
+      path: DEFAULT_HISTORY_PATH,
+      maxSnapshots: DEFAULT_MAX_SNAPSHOTS
+    },
+    disabledRules: [],
+    customRules: [],
+    // null categories means every enabled rule that counts towards total-issues
+    notifications: {
+      slack: { webhook: core.getInput('slack-webhook'), categories: null },
+      teams: { webhook: core.getInput('teams-webhook'), categories: null }
+    }
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+function _thresholds(source) {
+  const thresholds = {};
+  if (source['stale-days'] !== undefined) thresholds.staleDays = source['stale-days'];
+  if (source['old-days'] !== undefined) thresholds.oldDays = source['old-days'];
+  if (source['needs-review-days'] !== undefined) thresholds.needsReviewDays = source['needs-review-days'];
+  if (source['approved-unmerged-days'] !== undefined) thresholds.approvedUnmergedDays = source['approved-unmerged-days'];
+  if (source['author-idle-days'] !== undefined) thresholds.authorIdleDays = source['author-idle-days'];
+  return thresholds;
+}
+
+function _notification(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    webhook: base.webhook,
+    categories: override.categories || base.categories
+  };
+}
+
+function _activity(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    source: override.source || base.source,
+    ignoredActors: override['ignored-actors'] || base.ignoredActors,
+    ignoredEventTypes: override['ignored-event-types'] || base.ignoredEventTypes
+  };
+}
+
+function _assignment(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    strategy: override.strategy || base.strategy,
+    // 0 is meaningful for both (no limit, keep every member), so only fall back when a key is absent
+    maxAssignees: override['max-assignees'] !== undefined ? override['max-assignees'] : base.maxAssignees,
+    inactiveMemberDays: override['inactive-member-days'] !== undefined
+      ? override['inactive-member-days']
+      : base.inactiveMemberDays
+  };
+}
+
+function _metrics(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    enabled: override.enabled !== undefined ? override.enabled : base.enabled,
+    lookbackDays: override['lookback-days'] || base.lookbackDays
+  };
+}
+
+function _codeownersValidation(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    enabled: override.enabled !== undefined ? override.enabled : base.enabled,
+    failOn: override['fail-on'] || base.failOn
+  };
+}
+
+function _history(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    enabled: override.enabled !== undefined ? override.enabled : base.enabled,
+    branch: override.branch || base.branch,
+    path: override.path || base.path,
+    maxSnapshots: override['max-snapshots'] || base.maxSnapshots
+  };
+}
+
+function _templates(base, override) {
+  if (!override) {
+    return base;
+  }
+  return {
+    report: override.report || base.report,
+    needsReviewComment: override['needs-review-comment'] || base.needsReviewComment,
+    approvedUnmergedComment: override['approved-unmerged-comment'] || base.approvedUnmergedComment,
+    authorIdleComment: override['author-idle-comment'] || base.authorIdleComment,
+    changesComment: override['changes-comment'] || base.changesComment
+  };
+}
+
+/**
+ * Merge a validated config file over the input configuration
+ * Settings present in the file take precedence over action inputs
+ *
+ * @param {Object} base - Configuration built from action inputs
+ * @param {Object} raw - Validated config file contents
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(base, raw) {
+  const pick = (key, fallback) => (raw[key] !== undefined ? raw[key] : fallback);
+  const notifications = raw.notifications || {};
+  const rules = raw.rules || {};
+
+  return {
+    ...base,
+    ..._thresholds(raw.thresholds || {}),
+    blockedLabels: pick('blocked-labels', base.blockedLabels),
+    labelRules: (raw['label-rules'] || []).map(rule => ({
+      label: rule.label,
+      ignore: rule.ignore === true,
+      ..._thresholds(rule)
+    })),
+    createIssue: pick('create-issue', base.createIssue),
+    issueLabels: pick('issue-labels', base.issueLabels),
+    issueMode: pick('issue-mode', base.issueMode),
+    issueDiffComment: pick('issue-diff-comment', base.issueDiffComment),
+    closeIssueWhenClear: pick('close-issue-when-clear', base.closeIssueWhenClear),
+    autoComment: pick('auto-comment', base.autoComment),
+    commentMessage: pick('comment-message', base.commentMessage),
+    templates: _templates(base.templates, raw.templates),
+    ignoreDrafts: pick('ignore-drafts', base.ignoreDrafts),
+    autoAssignCodeowners: pick('auto-assign-codeowners', base.autoAssignCodeowners),
+    requestCodeownerReviews: pick('request-codeowner-reviews', base.requestCodeownerReviews),
+    checkCodeownerApproval: pick('check-codeowner-approval', base.checkCodeownerApproval),
+    assignment: _assignment(base.assignment, raw.assignment),
+    dataSource: pick('data-source', base.dataSource),
+    checkStatusAndConflicts: pick('check-status-and-conflicts', base.checkStatusAndConflicts),
+    groupByPerson: pick('group-by-person', base.groupByPerson),
+    workingDays: { ...base.workingDays, ...(raw['working-days'] || {}) },
+    activity: _activity(base.activity, raw.activity),
+    metrics: _metrics(base.metrics, raw.metrics),
+    codeownersValidation: _codeownersValidation(base.codeownersValidation, raw['codeowners-validation']),
+    history: _history(base.history, raw.history),
+    disabledRules: rules.disable || base.disabledRules,
+    customRules: rules.custom || base.customRules,
+    notifications: {
+      slack: _notification(base.notifications.slack, notifications.slack),
+      teams: _notification(base.notifications.teams, notifications.teams)
+    }
+  };
+}
+
+/**
+ * Load configuration from action inputs and the optional repository config file
+ * Throws with every validation problem listed when the inputs or file are invalid
+ *
+ * @returns {Object} Configuration object
+ */
+async function loadConfig() {
+  const config = getInputConfig();
+  const path = core.getInput('config-file') || DEFAULT_CONFIG_FILE;
+
+  const data = await getContent(path);
+  if (!data || !data.content) {
+    core.debug(`No config file found at ${path}, using action inputs`);
+    return config;
+  }
+
+  let raw;
+  try {
+    raw = yaml.load(Buffer.from(data.content, 'base64').toString('utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid configuration: ${path} is not valid YAML: ${error.message}`);
+  }
+
+  // An empty file is treated as "no overrides"
+  if (raw === undefined || raw === null) {
+    return config;
+  }
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in ${path}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  core.info(`⚙️  Loaded configuration from ${path}`);
+  return mergeConfig(config, raw);
+}
+
+/**
+ * Resolve the thresholds for a PR, applying the first matching label rule
+ *
+ * @param {Object} pr - Pull request
+ * @param {Object} config - Configuration object
+ * @returns {Object} { staleDays, oldDays, needsReviewDays, approvedUnmergedDays, authorIdleDays, ignore }
+ */
+function resolveThresholds(pr, config) {
+  const labels = pr.labels.map(l => l.name.toLowerCase());
+  const rule = config.labelRules.find(r => labels.includes(r.label.toLowerCase()));
+
+  return {
+    staleDays: config.staleDays,
+    oldDays: config.oldDays,
+    needsReviewDays: config.needsReviewDays,
+    approvedUnmergedDays: config.approvedUnmergedDays,
+    authorIdleDays: config.authorIdleDays,
+    ignore: false,
+    ...(rule || {})
+  };
+}
+
+module.exports = {
+  loadConfig,
+  getInputConfig,
+  validateConfig,
+  mergeConfig,
+  resolveThresholds
+};
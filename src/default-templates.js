@@ -0,0 +1,140 @@
+/**
+ * Built-in templates, overridable through `templates` in the config file
+ * See the README for the data each template receives
+ */
+
+const REPORT = `# 📊 Pull Request Status Report
+
+**Generated:** {{generatedDate}} {{generatedTime}} UTC
+**Total Open PRs:** {{totalPRs}}
+{{#workingDays}}
+**Ages:** working days in {{timezone}} (weekend: {{weekendList}}; {{holidayCount}} holidays excluded)
+{{/workingDays}}
+
+{{#truncated.length}}
+> ⚠️ **Results truncated:** the following listings hit the \`max-items\` cap, so this report may be incomplete:
+{{#truncated}}
+> - {{.}}
+{{/truncated}}
+
+{{/truncated.length}}
+{{#allClear}}
+## ✅ All Clear!
+
+No issues found with open pull requests.
+
+{{/allClear}}
+{{^allClear}}
+## ⚠️ Summary
+
+{{#categories}}
+- {{summary}}{{#trend}} ({{deltaText}} since last run){{/trend}}
+{{/categories}}
+
+{{/allClear}}
+{{#trendChanges.length}}
+## 📈 Changes Since the Last Run
+
+_Compared with the run at {{previousRunAt}}_
+
+{{#trendChanges}}
+- **{{label}}**: {{trend.changeText}}
+{{/trendChanges}}
+
+{{/trendChanges.length}}
+{{#sections}}
+## {{heading}}
+
+{{#entries}}
+{{line}}
+{{/entries}}
+{{^entries}}
+{{emptyMessage}}
+
+{{/entries}}
+{{/sections}}
+{{#people}}
+## 👥 Outstanding Work by Person
+
+### Authors
+
+{{#authors}}
+- **{{name}}** ({{count}})
+{{#prs}}
+  - [#{{number}}]({{url}}) {{title}} - {{categoryList}} | Open for **{{daysSinceCreated}} days**
+{{/prs}}
+{{/authors}}
+{{^authors}}
+✅ No flagged PRs.
+{{/authors}}
+
+### Pending Review Requests
+
+{{#reviewers}}
+- **{{name}}** ({{count}})
+{{#requests}}
+  - [#{{number}}]({{url}}) {{title}} by @{{author}} | Open for **{{daysSinceCreated}} days**, last activity **{{daysSinceUpdate}} days ago**
+{{/requests}}
+{{/reviewers}}
+{{^reviewers}}
+✅ No pending review requests.
+{{/reviewers}}
+
+{{/people}}
+{{#metrics}}
+## ⏱️ Review Flow Metrics
+
+_{{mergedCount}} PRs merged in the last {{lookbackDays}} days_
+
+| Metric | Median | p90 | PRs |
+|--------|--------|-----|-----|
+{{#rows}}
+| {{label}} | {{median}} | {{p90}} | {{count}} |
+{{/rows}}
+
+{{/metrics}}
+{{#codeowners}}
+## 🗂️ CODEOWNERS Health
+
+{{#path}}
+_{{path}}: {{errors.length}} errors, {{warnings.length}} warnings{{#coverage}}, {{percent}}% of {{files}} files owned{{/coverage}}_
+
+{{/path}}
+{{#problems}}
+- {{icon}} {{location}}{{message}}
+{{/problems}}
+{{^problems}}
+✅ No problems found.
+{{/problems}}
+
+{{#coverage.unownedDirectories.length}}
+### Directories Without Owners
+
+{{#coverage.unownedDirectories}}
+- \`{{path}}\` ({{files}} files)
+{{/coverage.unownedDirectories}}
+
+{{/coverage.unownedDirectories.length}}
+{{/codeowners}}
+`;
+
+const NEEDS_REVIEW_COMMENT = '👀 This PR has been open for {{days}} days without any reviews. {{assignees}} please take a look!';
+
+const APPROVED_UNMERGED_COMMENT = '🚀 This PR was approved {{daysSinceApproval}} days ago and its checks pass. @{{author}} is it ready to merge?';
+
+const AUTHOR_IDLE_COMMENT = '✏️ Changes were requested on this PR {{daysSinceChangesRequested}} days ago. @{{author}} could you push an update or reply to the review?';
+
+const CHANGES_COMMENT = `### 🔄 Changes since the last report
+
+{{#changes}}
+- **{{category}}**: {{items}}
+{{/changes}}
+`;
+
+module.exports = {
+  REPORT,
+  NEEDS_REVIEW_COMMENT,
+  APPROVED_UNMERGED_COMMENT,
+  AUTHOR_IDLE_COMMENT,
+  CHANGES_COMMENT
+};
@@ -0,0 +1,52 @@
+const core = require('@actions/core');
+
+/**
+ * Dry-run recorder
+ * When enabled, mutating GitHub calls and webhook posts are recorded here instead
+ * of being performed, so a run can be previewed without side effects
+ */
+let _enabled = false;
+let _actions = [];
+
+/**
+ * Turn dry-run mode on or off and clear previously recorded actions
+ *
+ * @param {boolean} enabled - Whether writes should be recorded instead of performed
+ */
+function configure(enabled) {
+  _enabled = Boolean(enabled);
+  _actions = [];
+}
+
+/**
+ * @returns {boolean} True when writes must not be performed
+ */
+function isEnabled() {
+  return _enabled;
+}
+
+/**
+ * Record an action that would have been performed
+ *
+ * @param {string} type - Action type, e.g. create-comment
+ * @param {Object} details - Parameters of the action
+ * @param {string} description - Human-readable summary for the log
+ */
+function record(type, details, description) {
+  _actions.push({ type, ...details });
+  core.info(`🧪 [dry-run] Would ${description}`);
+}
+
+/**
+ * @returns {Array} Actions recorded since the last configure(), in order
+ */
+function getPlannedActions() {
+  return [..._actions];
+}
+
+module.exports = {
+  configure,
+  isEnabled,
+  record,
+  getPlannedActions
+};
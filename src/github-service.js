@@ -1,5 +1,8 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const requestLayer = require('./request-layer');
+const dryRun = require('./dry-run');
+const { renderTemplate } = require('./template');
 
 /**
  * GitHub API service that auto-initializes and encapsulates Octokit operations
@@ -9,6 +12,13 @@ let _octokit = null;
 let _owner = null;
 let _repo = null;
 
+const DEFAULT_MAX_ITEMS = 1000;
+let _maxItems = DEFAULT_MAX_ITEMS;
+let _truncations = [];
+// Team members and user activity, looked up once per run
+let _teamMembers = new Map();
+let _recentActivity = new Map();
+
 /**
  * Initialize the service with GitHub context
  * Called automatically on first use
@@ -20,6 +30,10 @@ function _initialize() {
 
   const token = core.getInput('github-token', { required: true });
   _octokit = github.getOctokit(token);
+
+  // Retry, backoff and throttling apply to every request, including paginated ones
+  requestLayer.install(_octokit);
+
   const { owner, repo } = github.context.repo;
   _owner = owner;
   _repo = repo;
@@ -28,15 +42,57 @@ function _initialize() {
 }
 
 /**
- * Get repository content by path
+ * Apply the validated listing cap, retry and throttling settings
+ *
+ * @param {Object} options - { maxItems, maxRetries, maxConcurrency }
  */
-async function getContent(path) {
+function configure(options = {}) {
+  if (Number.isInteger(options.maxItems) && options.maxItems > 0) {
+    _maxItems = options.maxItems;
+  }
+  requestLayer.configure({ maxRetries: options.maxRetries, maxConcurrency: options.maxConcurrency });
+}
+
+/**
+ * Walk every page of a list endpoint, stopping once the max-items cap is reached
+ * Truncated listings are recorded so the report can warn about them
+ * For sorted listings, `isPastEnd(item)` stops after the first page holding an item beyond the range
+ */
+async function _paginate(method, params, description, isPastEnd = null) {
+  const items = [];
+  const iterator = _octokit.paginate.iterator(method, { per_page: 100, ...params });
+
+  for await (const response of iterator) {
+    items.push(...response.data);
+
+    if (isPastEnd && response.data.some(isPastEnd)) {
+      return items.slice(0, _maxItems);
+    }
+
+    if (items.length >= _maxItems) {
+      const hasNextPage = /rel="next"/.test((response.headers && response.headers.link) || '');
+      if (items.length > _maxItems || hasNextPage) {
+        core.warning(`Listing ${description} stopped at the cap of ${_maxItems} items`);
+        _truncations.push(`${description} (capped at ${_maxItems})`);
+      }
+      return items.slice(0, _maxItems);
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Get repository content by path, from the default branch unless a ref is given
+ */
+async function getContent(path, ref) {
   _initialize();
   try {
     const { data } = await _octokit.rest.repos.getContent({
       owner: _owner,
       repo: _repo,
-      path
+      path,
+      ref
     });
     return data;
   } catch (error) {
@@ -45,40 +101,114 @@ async function getContent(path) {
   }
 }
 
+/**
+ * Create or update a file on a branch
+ * A missing branch is created as an orphan branch holding only this file,
+ * so data branches never share history with the code
+ *
+ * @param {string} path - File path
+ * @param {string} content - File content
+ * @param {string} message - Commit message
+ * @param {Object} options - { branch, sha }; sha of the current file when updating
+ */
+async function writeFile(path, content, message, { branch, sha } = {}) {
+  if (dryRun.isEnabled()) {
+    dryRun.record('write-file', { path, branch, message }, `write ${path} on branch ${branch}`);
+    return;
+  }
+
+  _initialize();
+  try {
+    await _octokit.rest.repos.createOrUpdateFileContents({
+      owner: _owner,
+      repo: _repo,
+      path,
+      message,
+      content: Buffer.from(content).toString('base64'),
+      branch,
+      sha
+    });
+  } catch (error) {
+    if (error.status !== 404 || sha) {
+      core.warning(`Failed to write ${path} on branch ${branch}: ${error.message}`);
+      throw error;
+    }
+
+    core.info(`🌱 Creating branch ${branch}`);
+    const { data: tree } = await _octokit.rest.git.createTree({
+      owner: _owner,
+      repo: _repo,
+      tree: [{ path, mode: '100644', type: 'blob', content }]
+    });
+    const { data: commit } = await _octokit.rest.git.createCommit({
+      owner: _owner,
+      repo: _repo,
+      message,
+      tree: tree.sha,
+      parents: []
+    });
+    await _octokit.rest.git.createRef({
+      owner: _owner,
+      repo: _repo,
+      ref: `refs/heads/${branch}`,
+      sha: commit.sha
+    });
+  }
+}
+
 /**
  * List all open pull requests
  */
 async function listPullRequests(options = {}) {
   _initialize();
   try {
-    const { data } = await _octokit.rest.pulls.list({
+    return await _paginate(_octokit.rest.pulls.list, {
       owner: _owner,
       repo: _repo,
       state: 'open',
-      per_page: 100,
       sort: 'updated',
       direction: 'asc',
       ...options
-    });
-    return data;
+    }, 'pull requests');
   } catch (error) {
     core.error(`Failed to list pull requests: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * List pull requests merged at or after a given time
+ * Closed PRs are walked newest-updated first; a PR merged in the window was updated after it too
+ */
+async function listMergedPullRequests(since) {
+  _initialize();
+  try {
+    const closed = await _paginate(_octokit.rest.pulls.list, {
+      owner: _owner,
+      repo: _repo,
+      state: 'closed',
+      sort: 'updated',
+      direction: 'desc'
+    }, 'closed pull requests', pr => new Date(pr.updated_at) < since);
+
+    return closed.filter(pr => pr.merged_at && new Date(pr.merged_at) >= since);
+  } catch (error) {
+    core.warning(`Failed to list merged pull requests: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Get reviews for a specific pull request
  */
 async function getPullRequestReviews(pullNumber) {
   _initialize();
   try {
-    const { data } = await _octokit.rest.pulls.listReviews({
+    return await _paginate(_octokit.rest.pulls.listReviews, {
       owner: _owner,
       repo: _repo,
       pull_number: pullNumber
-    });
-    return data;
+    }, `reviews for PR #${pullNumber}`);
   } catch (error) {
     core.error(`Failed to get reviews for PR #${pullNumber}: ${error.message}`);
     throw error;
@@ -91,23 +221,208 @@ async function getPullRequestReviews(pullNumber) {
 async function getPullRequestFiles(pullNumber) {
   _initialize();
   try {
-    const { data } = await _octokit.rest.pulls.listFiles({
+    return await _paginate(_octokit.rest.pulls.listFiles, {
       owner: _owner,
       repo: _repo,
-      pull_number: pullNumber,
-      per_page: 100
-    });
-    return data;
+      pull_number: pullNumber
+    }, `files for PR #${pullNumber}`);
   } catch (error) {
     core.warning(`Failed to get PR files: ${error.message}`);
     return [];
   }
 }
 
+/**
+ * Get the timeline events (commits, reviews, comments, labels...) of a pull request
+ */
+async function getPullRequestTimeline(pullNumber) {
+  _initialize();
+  try {
+    return await _paginate(_octokit.rest.issues.listEventsForTimeline, {
+      owner: _owner,
+      repo: _repo,
+      issue_number: pullNumber
+    }, `timeline for PR #${pullNumber}`);
+  } catch (error) {
+    core.warning(`Failed to get timeline for PR #${pullNumber}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List the logins of an organization team's members, cached per team
+ * Needs a token that can read the organization's teams
+ */
+async function listTeamMembers(org, teamSlug) {
+  const key = `${org}/${teamSlug}`.toLowerCase();
+  if (!_teamMembers.has(key)) {
+    _initialize();
+    try {
+      const members = await _paginate(_octokit.rest.teams.listMembersInOrg, {
+        org,
+        team_slug: teamSlug
+      }, `members of team ${org}/${teamSlug}`);
+      _teamMembers.set(key, members.map(member => member.login));
+    } catch (error) {
+      core.warning(`Failed to list members of team ${org}/${teamSlug}: ${error.message}`);
+      _teamMembers.set(key, null);
+    }
+  }
+  return _teamMembers.get(key);
+}
+
+/**
+ * Check whether a user opened, commented on, reviewed or was mentioned in a PR of this
+ * repository updated on or after a date, cached per user and date
+ * Users whose activity cannot be checked count as active
+ */
+async function hasRecentActivity(login, since) {
+  const date = since.toISOString().slice(0, 10);
+  const key = `${login.toLowerCase()}@${date}`;
+  if (!_recentActivity.has(key)) {
+    _initialize();
+    try {
+      const { data } = await _octokit.rest.search.issuesAndPullRequests({
+        q: `repo:${_owner}/${_repo} is:pr involves:${login} updated:>=${date}`,
+        per_page: 1
+      });
+      _recentActivity.set(key, data.total_count > 0);
+    } catch (error) {
+      core.warning(`Failed to check recent activity of ${login}: ${error.message}`);
+      _recentActivity.set(key, true);
+    }
+  }
+  return _recentActivity.get(key);
+}
+
+/**
+ * List every file path in the repository at a ref
+ * The API cuts off very large trees, which is reported as `truncated`
+ */
+async function getRepositoryTree(ref = 'HEAD') {
+  _initialize();
+  try {
+    const { data } = await _octokit.rest.git.getTree({
+      owner: _owner,
+      repo: _repo,
+      tree_sha: ref,
+      recursive: 'true'
+    });
+    return {
+      paths: data.tree.filter(item => item.type === 'blob').map(item => item.path),
+      truncated: Boolean(data.truncated)
+    };
+  } catch (error) {
+    core.warning(`Failed to list repository files: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get a user's permission on this repository: admin, write, read or none
+ * Returns null when the user does not exist or can't be looked up on this repository
+ */
+async function getUserPermission(login) {
+  _initialize();
+  try {
+    const { data } = await _octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner: _owner,
+      repo: _repo,
+      username: login
+    });
+    return data.permission;
+  } catch (error) {
+    core.debug(`No permission found for ${login}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get an organization team's permissions on this repository ({ admin, maintain, push, triage, pull })
+ * Returns null when the team does not exist or has no access
+ */
+async function getTeamPermissions(org, teamSlug) {
+  _initialize();
+  try {
+    const { data } = await _octokit.rest.teams.checkPermissionsForRepoInOrg({
+      org,
+      team_slug: teamSlug,
+      owner: _owner,
+      repo: _repo,
+      headers: { accept: 'application/vnd.github.v3.repository+json' }
+    });
+    return data.permissions;
+  } catch (error) {
+    core.debug(`No permissions found for team ${org}/${teamSlug}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get a single pull request, including mergeability fields not returned by the list endpoint
+ */
+async function getPullRequest(pullNumber) {
+  _initialize();
+  try {
+    const { data } = await _octokit.rest.pulls.get({
+      owner: _owner,
+      repo: _repo,
+      pull_number: pullNumber
+    });
+    return data;
+  } catch (error) {
+    core.warning(`Failed to get PR #${pullNumber}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get check runs and commit statuses for a ref, both in the check-run shape
+ * ({ name, status, conclusion })
+ * Returns null when they can't be loaded, so callers can tell a failure from a ref without checks
+ */
+async function getCommitChecks(ref) {
+  _initialize();
+  try {
+    const checkRuns = await _paginate(_octokit.rest.checks.listForRef, {
+      owner: _owner,
+      repo: _repo,
+      ref
+    }, `check runs for ${ref}`);
+
+    const { data } = await _octokit.rest.repos.getCombinedStatusForRef({
+      owner: _owner,
+      repo: _repo,
+      ref,
+      per_page: 100
+    });
+
+    const statuses = data.statuses.map(status => ({
+      name: status.context,
+      status: status.state === 'pending' ? 'in_progress' : 'completed',
+      conclusion: status.state === 'pending' ? null : status.state
+    }));
+
+    return [
+      ...checkRuns.map(run => ({ name: run.name, status: run.status, conclusion: run.conclusion })),
+      ...statuses
+    ];
+  } catch (error) {
+    core.warning(`Failed to get checks for ${ref}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Assign users to a pull request
  */
 async function assignPullRequest(pullNumber, assignees) {
+  if (dryRun.isEnabled()) {
+    dryRun.record('assign-pull-request', { pull_number: pullNumber, assignees },
+      `assign ${assignees.join(', ')} to PR #${pullNumber}`);
+    return true;
+  }
+
   _initialize();
   try {
     await _octokit.rest.issues.addAssignees({
@@ -123,10 +438,42 @@ async function assignPullRequest(pullNumber, assignees) {
   }
 }
 
+/**
+ * Request reviews on a pull request from users and teams (by slug)
+ */
+async function requestReviewers(pullNumber, reviewers, teamReviewers) {
+  const names = [...reviewers, ...teamReviewers.map(slug => `team ${slug}`)].join(', ');
+  if (dryRun.isEnabled()) {
+    dryRun.record('request-reviewers', { pull_number: pullNumber, reviewers, team_reviewers: teamReviewers },
+      `request reviews from ${names} on PR #${pullNumber}`);
+    return true;
+  }
+
+  _initialize();
+  try {
+    await _octokit.rest.pulls.requestReviewers({
+      owner: _owner,
+      repo: _repo,
+      pull_number: pullNumber,
+      reviewers,
+      team_reviewers: teamReviewers
+    });
+    return true;
+  } catch (error) {
+    core.warning(`Failed to request reviews on PR #${pullNumber}: ${error.message}`);
+    return false;
+  }
+}
+
 /**
  * Create an issue
  */
 async function createIssue(title, body, labels = []) {
+  if (dryRun.isEnabled()) {
+    dryRun.record('create-issue', { title, body, labels }, `create issue "${title}"`);
+    return { number: 0, title, body, labels };
+  }
+
   _initialize();
   try {
     const { data } = await _octokit.rest.issues.create({
@@ -143,18 +490,64 @@ async function createIssue(title, body, labels = []) {
   }
 }
 
+/**
+ * Find the most recently created open issue carrying all labels whose body contains a marker
+ */
+async function findOpenIssue(labels, marker) {
+  _initialize();
+  try {
+    const issues = await _paginate(_octokit.rest.issues.listForRepo, {
+      owner: _owner,
+      repo: _repo,
+      state: 'open',
+      labels: labels.join(','),
+      sort: 'created',
+      direction: 'desc'
+    }, 'open report issues');
+
+    return issues.find(issue => !issue.pull_request && (issue.body || '').includes(marker)) || null;
+  } catch (error) {
+    core.warning(`Failed to search for existing report issue: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Update an issue's title, body or state
+ */
+async function updateIssue(issueNumber, fields) {
+  if (dryRun.isEnabled()) {
+    dryRun.record('update-issue', { issue_number: issueNumber, ...fields },
+      `update issue #${issueNumber} (${Object.keys(fields).join(', ')})`);
+    return { number: issueNumber, ...fields };
+  }
+
+  _initialize();
+  try {
+    const { data } = await _octokit.rest.issues.update({
+      owner: _owner,
+      repo: _repo,
+      issue_number: issueNumber,
+      ...fields
+    });
+    return data;
+  } catch (error) {
+    core.error(`Failed to update issue #${issueNumber}: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Get comments for an issue/PR
  */
 async function getIssueComments(issueNumber) {
   _initialize();
   try {
-    const { data } = await _octokit.rest.issues.listComments({
+    return await _paginate(_octokit.rest.issues.listComments, {
       owner: _owner,
       repo: _repo,
       issue_number: issueNumber
-    });
-    return data;
+    }, `comments for issue #${issueNumber}`);
   } catch (error) {
     core.warning(`Failed to get comments for issue #${issueNumber}: ${error.message}`);
     return [];
@@ -165,6 +558,11 @@ async function getIssueComments(issueNumber) {
  * Create a comment on an issue/PR
  */
 async function createComment(issueNumber, body) {
+  if (dryRun.isEnabled()) {
+    dryRun.record('create-comment', { issue_number: issueNumber, body }, `comment on #${issueNumber}`);
+    return { body };
+  }
+
   _initialize();
   try {
     const { data } = await _octokit.rest.issues.createComment({
@@ -196,13 +594,16 @@ async function hasRecentBotComment(issueNumber, predicate, dayThreshold = 7) {
 
 /**
  * Comment on multiple PRs with a message template
+ * Templates use {{placeholders}}; the older single-brace {days} and {assignees} still work.
+ * With a marker, comments carry it hidden so the next run recognizes them whatever the template
  */
-async function commentOnPRs(prs, messageTemplate, dayThreshold = 7) {
+async function commentOnPRs(prs, messageTemplate, dayThreshold = 7, marker = null) {
+  const markerComment = marker && `<!-- pr-status-monitor:${marker} -->`;
   for (const pr of prs) {
     try {
       const hasRecentComment = await hasRecentBotComment(
         pr.number,
-        (c) => c.body.includes('This PR has been inactive'),
+        (c) => c.body.includes(markerComment || 'This PR has been inactive'),
         dayThreshold
       );
 
@@ -215,13 +616,14 @@ async function commentOnPRs(prs, messageTemplate, dayThreshold = 7) {
           ? pr.requested_reviewers.map(r => ` @${r.login}`).join(', ')
           : '';
 
-        const message = messageTemplate
-          .replace('{days}', pr.daysSinceCreated || pr.daysSinceUpdate)
-          .replace('{assignees}', assignees);
+        const message = renderTemplate(
+          messageTemplate.replace(/(^|[^{])\{(days|assignees)\}(?!\})/g, '$1{{$2}}'),
+          { ...pr, days: pr.daysSinceCreated || pr.daysSinceUpdate, assignees }
+        );
 
         core.info(`💬 Commenting on PR #${pr.number} with message: ${message}`);
 
-        await createComment(pr.number, message);
+        await createComment(pr.number, markerComment ? `${message}\n\n${markerComment}` : message);
         core.info(`  ✅ Commented on PR #${pr.number}`);
       } else {
         core.debug(`  ⏭️  Skipped PR #${pr.number} (already commented recently)`);
@@ -243,6 +645,227 @@ function getContext() {
   };
 }
 
+const REVIEW_FIELDS = 'databaseId state submittedAt author { login } commit { oid }';
+const FILE_FIELDS = 'path';
+
+const PR_SNAPSHOT_QUERY = `
+  query($owner: String!, $repo: String!, $pageSize: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequests(states: OPEN, first: $pageSize, after: $cursor, orderBy: { field: UPDATED_AT, direction: ASC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          isDraft
+          createdAt
+          updatedAt
+          mergeable
+          mergeStateStatus
+          additions
+          deletions
+          headRefOid
+          headRefName
+          baseRefName
+          author { login }
+          assignees(first: 100) { nodes { login } }
+          labels(first: 100) { nodes { name } }
+          reviewRequests(first: 100) {
+            nodes { requestedReviewer { __typename ... on User { login } ... on Team { slug } } }
+          }
+          reviews(first: 100) { pageInfo { hasNextPage endCursor } nodes { ${REVIEW_FIELDS} } }
+          files(first: 100) { pageInfo { hasNextPage endCursor } nodes { ${FILE_FIELDS} } }
+          commits(last: 1) {
+            nodes {
+              commit {
+                statusCheckRollup {
+                  state
+                  contexts(first: 100) {
+                    nodes {
+                      __typename
+                      ... on CheckRun { name status conclusion }
+                      ... on StatusContext { context state }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Build a query that pages through one connection of a single pull request
+ */
+function _prConnectionQuery(connection, fields) {
+  return `
+    query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          ${connection}(first: 100, after: $cursor) { pageInfo { hasNextPage endCursor } nodes { ${fields} } }
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Fetch the remaining pages of a pull request connection (reviews, files)
+ * that did not fit in the snapshot query
+ */
+async function _fetchRemainingConnection(pullNumber, connection, fields, pageInfo, nodes) {
+  const all = [...nodes];
+  let { hasNextPage, endCursor } = pageInfo;
+
+  while (hasNextPage) {
+    if (all.length >= _maxItems) {
+      core.warning(`Listing ${connection} for PR #${pullNumber} stopped at the cap of ${_maxItems} items`);
+      _truncations.push(`${connection} for PR #${pullNumber} (capped at ${_maxItems})`);
+      break;
+    }
+
+    const result = await _octokit.graphql(_prConnectionQuery(connection, fields), {
+      owner: _owner,
+      repo: _repo,
+      number: pullNumber,
+      cursor: endCursor
+    });
+    const page = result.repository.pullRequest[connection];
+    all.push(...page.nodes);
+    ({ hasNextPage, endCursor } = page.pageInfo);
+  }
+
+  return all.slice(0, _maxItems);
+}
+
+/**
+ * Convert a check run or commit status context to the REST check-run shape
+ */
+function _normalizeCheck(context) {
+  if (context.__typename === 'StatusContext') {
+    const pending = context.state === 'PENDING' || context.state === 'EXPECTED';
+    return {
+      name: context.context,
+      status: pending ? 'in_progress' : 'completed',
+      conclusion: pending ? null : context.state.toLowerCase()
+    };
+  }
+
+  return {
+    name: context.name,
+    status: context.status.toLowerCase(),
+    conclusion: context.conclusion ? context.conclusion.toLowerCase() : null
+  };
+}
+
+/**
+ * Convert a GraphQL pull request node to the REST pull request shape used by the analysis,
+ * with reviews, files and checks attached
+ */
+function _normalizeSnapshotPR(node, reviews, files) {
+  const requests = node.reviewRequests.nodes
+    .map(r => r.requestedReviewer)
+    .filter(Boolean);
+  const lastCommit = node.commits.nodes[0];
+  const rollup = lastCommit && lastCommit.commit.statusCheckRollup;
+  const mergeable = { MERGEABLE: true, CONFLICTING: false }[node.mergeable];
+
+  return {
+    number: node.number,
+    title: node.title,
+    html_url: node.url,
+    draft: node.isDraft,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    user: { login: node.author ? node.author.login : 'ghost' },
+    head: { sha: node.headRefOid, ref: node.headRefName },
+    base: { ref: node.baseRefName },
+    mergeable: mergeable === undefined ? null : mergeable,
+    mergeable_state: (node.mergeStateStatus || 'unknown').toLowerCase(),
+    additions: node.additions,
+    deletions: node.deletions,
+    assignees: node.assignees.nodes.map(a => ({ login: a.login })),
+    labels: node.labels.nodes.map(l => ({ name: l.name })),
+    requested_reviewers: requests.filter(r => r.__typename === 'User').map(r => ({ login: r.login })),
+    requested_teams: requests.filter(r => r.__typename === 'Team').map(r => ({ slug: r.slug })),
+    reviews: reviews.map(r => ({
+      id: r.databaseId,
+      user: { login: r.author ? r.author.login : 'ghost' },
+      state: r.state,
+      submitted_at: r.submittedAt,
+      commit_id: r.commit ? r.commit.oid : null
+    })),
+    files: files.map(f => ({ filename: f.path })),
+    checks: rollup ? rollup.contexts.nodes.map(_normalizeCheck) : []
+  };
+}
+
+/**
+ * Fetch all open pull requests together with their reviews, review requests, labels,
+ * status checks, mergeability and changed files using paginated GraphQL queries
+ */
+async function fetchPullRequestSnapshot() {
+  _initialize();
+  try {
+    const pullRequests = [];
+    let cursor = null;
+
+    for (;;) {
+      const result = await _octokit.graphql(PR_SNAPSHOT_QUERY, {
+        owner: _owner,
+        repo: _repo,
+        pageSize: 50,
+        cursor
+      });
+      const page = result.repository.pullRequests;
+
+      const remaining = _maxItems - pullRequests.length;
+      for (const node of page.nodes.slice(0, remaining)) {
+        const reviews = await _fetchRemainingConnection(
+          node.number, 'reviews', REVIEW_FIELDS, node.reviews.pageInfo, node.reviews.nodes
+        );
+        const files = await _fetchRemainingConnection(
+          node.number, 'files', FILE_FIELDS, node.files.pageInfo, node.files.nodes
+        );
+        pullRequests.push(_normalizeSnapshotPR(node, reviews, files));
+      }
+
+      if (page.nodes.length > remaining || (pullRequests.length >= _maxItems && page.pageInfo.hasNextPage)) {
+        core.warning(`Listing pull requests stopped at the cap of ${_maxItems} items`);
+        _truncations.push(`pull requests (capped at ${_maxItems})`);
+        return pullRequests;
+      }
+
+      if (!page.pageInfo.hasNextPage) {
+        return pullRequests;
+      }
+      cursor = page.pageInfo.endCursor;
+    }
+  } catch (error) {
+    core.error(`Failed to fetch pull request snapshot: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get the most recently observed API rate-limit quota
+ *
+ * @param {string} resource - Quota name (default: core)
+ */
+function getRateLimit(resource = 'core') {
+  return requestLayer.getRateLimit(resource);
+}
+
+/**
+ * Get descriptions of listings that were cut off by the max-items cap
+ */
+function getTruncationWarnings() {
+  return [..._truncations];
+}
+
 /**
  * Reset state (mainly for testing)
  */
@@ -250,19 +873,42 @@ function reset() {
   _octokit = null;
   _owner = null;
   _repo = null;
+  _maxItems = DEFAULT_MAX_ITEMS;
+  _truncations = [];
+  _teamMembers = new Map();
+  _recentActivity = new Map();
+  requestLayer.reset();
+  dryRun.configure(false);
 }
 
 module.exports = {
+  configure,
   getContent,
+  writeFile,
   listPullRequests,
+  listMergedPullRequests,
   getPullRequestReviews,
   getPullRequestFiles,
+  getPullRequestTimeline,
+  getPullRequest,
+  getCommitChecks,
+  listTeamMembers,
+  hasRecentActivity,
+  getRepositoryTree,
+  getUserPermission,
+  getTeamPermissions,
   assignPullRequest,
+  requestReviewers,
   createIssue,
+  findOpenIssue,
+  updateIssue,
   getIssueComments,
   createComment,
   hasRecentBotComment,
   commentOnPRs,
+  fetchPullRequestSnapshot,
   getContext,
+  getRateLimit,
+  getTruncationWarnings,
   reset
 };
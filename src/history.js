@@ -0,0 +1,111 @@
+const core = require('@actions/core');
+const githubService = require('./github-service');
+
+/**
+ * Run-over-run trend tracking
+ * Each run appends a compact snapshot (PR numbers per category) to a JSON file on a
+ * data branch; the report compares the current run with the latest snapshot
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Compare PR numbers per category between two runs
+ *
+ * @param {Object} previous - Previous PR numbers per category
+ * @param {Object} current - Current PR numbers per category
+ * @returns {Array} [{ category, added, removed }] for every category in either run
+ */
+function diffCategories(previous, current) {
+  const categories = [...new Set([...Object.keys(current), ...Object.keys(previous)])];
+
+  return categories.map(category => {
+    const before = previous[category] || [];
+    const after = current[category] || [];
+    return {
+      category,
+      added: after.filter(n => !before.includes(n)),
+      removed: before.filter(n => !after.includes(n))
+    };
+  });
+}
+
+/**
+ * Build the per-category trend against the previous snapshot
+ * Categories missing from the previous snapshot (e.g. newly added rules) have no trend
+ *
+ * @param {Object|null} previous - Previous snapshot
+ * @param {Object} current - Current PR numbers per category
+ * @returns {Object} Trend per category: { previous, delta, entered, left }
+ */
+function computeTrend(previous, current) {
+  const trend = {};
+  if (!previous) {
+    return trend;
+  }
+
+  diffCategories(previous.categories, current)
+    .filter(({ category }) => current[category] && previous.categories[category])
+    .forEach(({ category, added, removed }) => {
+      trend[category] = {
+        previous: previous.categories[category].length,
+        delta: current[category].length - previous.categories[category].length,
+        entered: added,
+        left: removed
+      };
+    });
+
+  return trend;
+}
+
+/**
+ * Load the snapshot history from the data branch
+ *
+ * @param {Object} settings - { branch, path }
+ * @returns {Object} { snapshots, sha }; empty when there is no history yet
+ */
+async function loadHistory(settings) {
+  const data = await githubService.getContent(settings.path, settings.branch);
+  if (!data || !data.content) {
+    core.debug(`No history found at ${settings.branch}:${settings.path}`);
+    return { snapshots: [], sha: null };
+  }
+
+  try {
+    const history = JSON.parse(Buffer.from(data.content, 'base64').toString('utf-8'));
+    return { snapshots: history.snapshots || [], sha: data.sha };
+  } catch (error) {
+    core.warning(`Ignoring unreadable history at ${settings.branch}:${settings.path}: ${error.message}`);
+    return { snapshots: [], sha: data.sha };
+  }
+}
+
+/**
+ * Append a snapshot and write the history back, keeping the newest max-snapshots
+ * Failures are reported as warnings so they never fail the run
+ *
+ * @param {Object} settings - { branch, path, maxSnapshots }
+ * @param {Object} history - History from loadHistory
+ * @param {Object} snapshot - { at, totalIssues, categories }
+ */
+async function saveHistory(settings, history, snapshot) {
+  const snapshots = [...history.snapshots, snapshot].slice(-settings.maxSnapshots);
+  const content = JSON.stringify({ version: HISTORY_VERSION, snapshots }) + '\n';
+
+  try {
+    await githubService.writeFile(settings.path, content, `Record PR status snapshot ${snapshot.at}`, {
+      branch: settings.branch,
+      sha: history.sha || undefined
+    });
+    core.info(`📈 Recorded snapshot ${snapshots.length} in ${settings.branch}:${settings.path}`);
+  } catch (error) {
+    core.warning(`Failed to record history: ${error.message}`);
+  }
+}
+
+module.exports = {
+  HISTORY_VERSION,
+  diffCategories,
+  computeTrend,
+  loadHistory,
+  saveHistory
+};
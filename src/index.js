@@ -1,52 +1,98 @@
 const core = require('@actions/core');
 const axios = require('axios');
-const { listPullRequests, getPullRequestReviews, createIssue, commentOnPRs } = require('./github-service');
-const { loadCodeowners, getPRCodeowners, assignPRToOwners } = require('./codeowners');
+const {
+  configure: configureGithubService,
+  listPullRequests,
+  fetchPullRequestSnapshot,
+  getPullRequestReviews,
+  getPullRequestFiles,
+  getPullRequestTimeline,
+  getPullRequest,
+  getCommitChecks,
+  commentOnPRs,
+  getRateLimit,
+  getTruncationWarnings
+} = require('./github-service');
+const { loadCodeowners, getPRCodeowners } = require('./codeowners');
+const { loadConfig, resolveThresholds } = require('./config');
+const { getRules, countsAsIssue } = require('./rules');
+const { baseEntry, reviewStatus } = require('./rules/common');
+const { createAgeCalculator } = require('./business-days');
+const { getLastActivity } = require('./activity');
+const { publishReportIssue } = require('./report-issue');
+const { buildJsonReport, writeJsonReport } = require('./report-json');
+const { writeJobSummary } = require('./job-summary');
+const { renderTemplate } = require('./template');
+const { computeTrend, loadHistory, saveHistory } = require('./history');
+const { computeFlowMetrics } = require('./metrics');
+const { buildPeopleBreakdown } = require('./breakdown');
+const { countOpenWork } = require('./assignment');
+const { requestCodeownerReviews } = require('./review-requests');
+const { validateCodeowners, validationFailed } = require('./codeowners-validation');
+const dryRun = require('./dry-run');
 
 async function run() {
   try {
-    // Get inputs
-    const staleDays = parseInt(core.getInput('stale-days'));
-    const oldDays = parseInt(core.getInput('old-days'));
-    const blockedLabels = core.getInput('blocked-labels').split(',').map(l => l.trim());
-    const createIssueEnabled = core.getInput('create-issue') === 'true';
-    const issueLabels = core.getInput('issue-labels').split(',').map(l => l.trim());
-    const autoComment = core.getInput('auto-comment') === 'true';
-    const commentMessage = core.getInput('comment-message');
-    const slackWebhook = core.getInput('slack-webhook');
-    const teamsWebhook = core.getInput('teams-webhook');
-    const ignoreDrafts = core.getInput('ignore-drafts') === 'true';
-    const autoAssignCodeowners = core.getInput('auto-assign-codeowners') === 'true';
+    // Get configuration from inputs and the optional repository config file
+    const config = await loadConfig();
+    const {
+      staleDays,
+      oldDays,
+      autoComment,
+      commentMessage,
+      ignoreDrafts,
+      autoAssignCodeowners,
+      requestCodeownerReviews: requestReviewsEnabled,
+      dataSource,
+      notifications
+    } = config;
+    const createIssueEnabled = config.createIssue;
+    const rules = getRules(config);
+    const ageInDays = createAgeCalculator(config.workingDays);
+
+    configureGithubService(config.api);
+    dryRun.configure(config.dryRun);
+    if (config.dryRun) {
+      core.info('🧪 Dry run: no comments, assignments, issues or notifications will be sent');
+    }
 
     // GitHub service will auto-initialize on first use
 
-    // load CODEOWNERS if auto-assign is enabled
-    let codeowners = null;
-    if (autoAssignCodeowners) {
-      codeowners = await loadCodeowners();
-      if (codeowners) {
-        core.info(`📋 Loaded CODEOWNERS with ${codeowners.length} rules`);
-      } else {
-        core.warning('⚠️  CODEOWNERS file not found. Auto-assign disabled.');
+    // CODEOWNERS for auto-assign, review requests and approval checks, loaded once per PR base branch
+    const codeownersEnabled = autoAssignCodeowners || requestReviewsEnabled || config.checkCodeownerApproval;
+    const codeownersByBranch = new Map();
+    const codeownersFor = branch => {
+      if (!codeownersByBranch.has(branch)) {
+        codeownersByBranch.set(branch, loadCodeowners(branch).then(codeowners => {
+          if (codeowners) {
+            core.info(`📋 Loaded CODEOWNERS for ${branch} with ${codeowners.length} rules`);
+          } else {
+            core.warning(`⚠️  CODEOWNERS file not found on ${branch}. Code-owner assignment, review requests and approval checks skip PRs into it.`);
+          }
+          return codeowners;
+        }));
       }
-    }
+      return codeownersByBranch.get(branch);
+    };
 
     core.info('🔍 Starting PR status monitoring...');
-    core.info(`Configuration: Stale=${staleDays}d, Old=${oldDays}d, Ignore Drafts=${ignoreDrafts}`);
+    core.info(`Configuration: Stale=${staleDays}d, Old=${oldDays}d, Ignore Drafts=${ignoreDrafts}, Data Source=${dataSource}`);
 
-    // Get all open PRs
-    const pullRequests = await listPullRequests();
+    // Get all open PRs. The GraphQL snapshot already carries reviews and changed files
+    const pullRequests = dataSource === 'graphql'
+      ? await fetchPullRequestSnapshot()
+      : await listPullRequests();
 
     core.info(`📋 Found ${pullRequests.length} open PRs`);
 
     const now = new Date();
-    const issues = {
-      stalled: [],
-      unassigned: [],
-      blocked: [],
-      old: [],
-      needsReview: []
-    };
+    // Open assignments and review requests per user and team, for least-loaded assignment
+    const workload = countOpenWork(pullRequests);
+    const openEntries = [];
+    const issues = {};
+    rules.forEach(rule => {
+      issues[rule.key] = [];
+    });
 
     // Analyze each PR
     for (const pr of pullRequests) {
@@ -56,254 +102,357 @@ async function run() {
         continue;
       }
 
-      const createdDate = new Date(pr.created_at);
-      const updatedDate = new Date(pr.updated_at);
-      const daysSinceCreated = (now - createdDate) / (1000 * 60 * 60 * 24);
-      const daysSinceUpdate = (now - updatedDate) / (1000 * 60 * 60 * 24);
-
-      // Get review status
-      const reviews = await getPullRequestReviews(pr.number);
-
-      const hasApprovals = reviews.some(r => r.state === 'APPROVED');
-      const hasChangesRequested = reviews.some(r => r.state === 'CHANGES_REQUESTED');
-
-      // Check if stalled
-      if (daysSinceUpdate >= staleDays) {
-        issues.stalled.push({
-          number: pr.number,
-          title: pr.title,
-          author: pr.user.login,
-          url: pr.html_url,
-          daysSinceUpdate: Math.floor(daysSinceUpdate),
-          daysSinceCreated: Math.floor(daysSinceCreated),
-          draft: pr.draft,
-          reviewStatus: hasChangesRequested ? 'changes-requested' : hasApprovals ? 'approved' : 'pending',
-          assignees: pr.assignees,
-          requested_reviewers: pr.requested_reviewers
-        });
-      }
-
-      // Check if old
-      if (daysSinceCreated >= oldDays) {
-        issues.old.push({
-          number: pr.number,
-          title: pr.title,
-          author: pr.user.login,
-          url: pr.html_url,
-          daysSinceCreated: Math.floor(daysSinceCreated),
-          draft: pr.draft,
-          assignees: pr.assignees,
-          requested_reviewers: pr.requested_reviewers
-        });
+      // Label rules can override thresholds or exclude the PR entirely
+      const thresholds = resolveThresholds(pr, config);
+      if (thresholds.ignore) {
+        core.debug(`Skipping PR #${pr.number} (ignored by label rule)`);
+        continue;
       }
 
-      // Check if unassigned
-      if (!pr.assignees || pr.assignees.length === 0) {
-         let assigned = false;
+      const codeowners = codeownersEnabled ? await codeownersFor(pr.base.ref) : null;
 
-        // Try to auto-assign to CODEOWNERS if enabled
-        if (autoAssignCodeowners && codeowners) {
-          const prOwners = await getPRCodeowners(pr.number, codeowners);
+      const getTimeline = memoize(() => getPullRequestTimeline(pr.number));
+      const createdDate = new Date(pr.created_at);
+      const updatedDate = await getLastUpdate(pr, config.activity, getTimeline);
+      const daysSinceCreated = ageInDays(createdDate, now);
+      const daysSinceUpdate = ageInDays(updatedDate, now);
+
+      // Per-PR data is loaded lazily so rules only pay for what they use.
+      // The GraphQL snapshot already carries reviews, checks and mergeability
+      const ctx = {
+        config,
+        thresholds,
+        codeowners,
+        workload,
+        daysSinceCreated,
+        daysSinceUpdate,
+        daysSince: date => ageInDays(date, now),
+        getTimeline,
+        getReviews: memoize(() => pr.reviews || getPullRequestReviews(pr.number)),
+        getDetails: memoize(() => (pr.mergeable_state !== undefined ? pr : getPullRequest(pr.number))),
+        getChecks: memoize(() => pr.checks || getCommitChecks(pr.head.sha)),
+        getFiles: memoize(() => pr.files || getPullRequestFiles(pr.number)),
+        getCodeowners: memoize(async () => getPRCodeowners(pr.number, codeowners, await ctx.getFiles()))
+      };
+
+      if (requestReviewsEnabled && codeowners) {
+        await requestCodeownerReviews(pr, ctx);
+      }
 
-          if (prOwners.length > 0) {
-            const success = await assignPRToOwners(pr.number, prOwners);
-            if (success) {
-              core.info(`  ✅ Auto-assigned PR #${pr.number} to: ${prOwners.join(', ')}`);
-              assigned = true;
-            }
-          }
-        }
+      openEntries.push(baseEntry(pr, ctx));
 
-        // If not assigned, add to unassigned list
-        if (!assigned) {
-          issues.unassigned.push({
-          number: pr.number,
-          title: pr.title,
-          author: pr.user.login,
-          url: pr.html_url,
-          draft: pr.draft,
-          assignees: pr.assignees,
-          daysSinceCreated: Math.floor(daysSinceCreated),
-          requested_reviewers: pr.requested_reviewers
-          });
+      const entries = [];
+      for (const rule of rules) {
+        const entry = await rule.evaluate(pr, ctx);
+        if (entry) {
+          issues[rule.key].push(entry);
+          entries.push(entry);
         }
       }
 
-      // Check if blocked
-      const labels = pr.labels.map(l => l.name.toLowerCase());
-      const isBlocked = blockedLabels.some(label =>
-        labels.includes(label.toLowerCase())
-      );
-
-      if (isBlocked) {
-        issues.blocked.push({
-          number: pr.number,
-          title: pr.title,
-          author: pr.user.login,
-          url: pr.html_url,
-          labels: pr.labels.map(l => l.name).join(', '),
-          draft: pr.draft,
-          daysSinceCreated: Math.floor(daysSinceCreated),
-          assignees: pr.assignees,
-          requested_reviewers: pr.requested_reviewers
+      // Flagged PRs carry their review status into the JSON report
+      if (entries.length > 0) {
+        const status = reviewStatus(await ctx.getReviews(), pr);
+        entries.forEach(entry => {
+          entry.reviewStatus = entry.reviewStatus || status;
         });
       }
+    }
 
-      // Check if needs review
-      if (!pr.draft && reviews.length === 0 && daysSinceCreated >= 2) { // TODO: make this configurable
-        issues.needsReview.push({
-          number: pr.number,
-          title: pr.title,
-          author: pr.user.login,
-          url: pr.html_url,
-          daysSinceCreated: Math.floor(daysSinceCreated),
-          assignees: pr.assignees,
-          requested_reviewers: pr.requested_reviewers
-        });
-      }
+    // PR numbers per category, kept by the rolling issue and the history
+    const state = {};
+    rules.forEach(rule => {
+      state[rule.name] = issues[rule.key].map(entry => entry.number);
+    });
+
+    // Compare with the previous run when history is tracked
+    let history = null;
+    let trend = { categories: {}, previousRunAt: null };
+    if (config.history.enabled) {
+      history = await loadHistory(config.history);
+      const previous = history.snapshots[history.snapshots.length - 1] || null;
+      trend = { categories: computeTrend(previous, state), previousRunAt: previous && previous.at };
     }
 
+    // Review flow over recently merged PRs
+    const flowMetrics = config.metrics.enabled ? await computeFlowMetrics(config.metrics, now) : null;
+
+    // Health of the default branch's CODEOWNERS file
+    const codeownersHealth = config.codeownersValidation.enabled ? await validateCodeowners() : null;
+
     // Generate report
-    const report = generateReport(issues, pullRequests.length, staleDays, oldDays);
+    const truncationWarnings = getTruncationWarnings();
+    const people = config.groupByPerson ? buildPeopleBreakdown(issues, rules, openEntries) : null;
+    const report = generateReport(issues, rules, pullRequests.length, config, {
+      truncationWarnings, trend, flowMetrics, people, codeownersHealth
+    });
 
     core.info('\n' + report);
 
-    const totalIssues = issues.stalled.length + issues.unassigned.length +
-      issues.blocked.length + issues.old.length;
+    const totalIssues = countIssues(issues, rules);
+    const jsonReport = buildJsonReport(issues, rules, pullRequests.length, config, truncationWarnings);
 
     // Set outputs
     core.setOutput('report', report);
-    core.setOutput('stalled-count', issues.stalled.length);
-    core.setOutput('unassigned-count', issues.unassigned.length);
-    core.setOutput('blocked-count', issues.blocked.length);
-    core.setOutput('old-count', issues.old.length);
-    core.setOutput('needs-review-count', issues.needsReview.length);
+    core.setOutput('report-json', JSON.stringify(jsonReport));
+    if (config.reportJsonFile) {
+      writeJsonReport(jsonReport, config.reportJsonFile);
+    }
+    if (config.jobSummary) {
+      await writeJobSummary(jsonReport);
+    }
+    rules.forEach(rule => {
+      core.setOutput(`${rule.name}-count`, issues[rule.key].length);
+    });
     core.setOutput('total-issues', totalIssues);
+    if (flowMetrics) {
+      core.setOutput('flow-metrics', JSON.stringify(flowMetrics));
+      flowMetrics.metrics.forEach(metric => {
+        core.setOutput(`${metric.name}-median-hours`, metric.medianHours);
+        core.setOutput(`${metric.name}-p90-hours`, metric.p90Hours);
+      });
+    }
+    if (codeownersHealth) {
+      core.setOutput('codeowners-validation', JSON.stringify(codeownersHealth));
+    }
+
+    // Create or update the report issue if enabled
+    if (createIssueEnabled) {
+      await publishReportIssue(report, state, totalIssues, config);
+    }
 
-    // Create issue if enabled
-    if (createIssueEnabled && totalIssues > 0) {
-      core.info('📝 Creating issue with report...');
-      const issue = await createIssue(
-        `PR Status Report - ${new Date().toISOString().split('T')[0]}`,
-        report,
-        issueLabels
-      );
-      core.info(`✅ Created issue #${issue.number}`);
+    if (history) {
+      await saveHistory(config.history, history, { at: now.toISOString(), totalIssues, categories: state });
     }
 
     // Auto-comment on stalled PRs if enabled
-    if (autoComment && issues.stalled.length > 0) {
+    if (autoComment && issues.stalled && issues.stalled.length > 0) {
       core.info('💬 Adding comments to stalled PRs...');
-      await commentOnPRs(issues.stalled, commentMessage);
+      await commentOnPRs(issues.stalled, commentMessage, 7, 'stalled');
     }
 
-    if (autoComment && issues.needsReview.length > 0) {
+    if (autoComment && issues.needsReview && issues.needsReview.length > 0) {
       core.info('💬 Adding comments to PRs needing review...');
-      const messageTemplate = '👀 This PR has been open for {days} days without any reviews. {assignees} please take a look!';
-      await commentOnPRs(issues.needsReview, messageTemplate);
+      await commentOnPRs(issues.needsReview, config.templates.needsReviewComment, 7, 'needs-review');
     }
 
-    // Send notifications
-    if (slackWebhook && totalIssues > 0) {
-      await sendSlackNotification(slackWebhook, issues, totalIssues);
+    if (autoComment && issues.approvedUnmerged && issues.approvedUnmerged.length > 0) {
+      core.info('💬 Adding comments to approved PRs waiting to be merged...');
+      await commentOnPRs(issues.approvedUnmerged, config.templates.approvedUnmergedComment, 7, 'approved-unmerged');
     }
 
-    if (teamsWebhook && totalIssues > 0) {
-      await sendTeamsNotification(teamsWebhook, issues, totalIssues);
+    if (autoComment && issues.authorIdle && issues.authorIdle.length > 0) {
+      core.info('💬 Adding comments to PRs waiting on their author...');
+      await commentOnPRs(issues.authorIdle, config.templates.authorIdleComment, 7, 'author-idle');
+    }
+
+    // Send notifications, each channel counting only the categories routed to it
+    const slack = routeNotification(issues, rules, notifications.slack.categories);
+    if (notifications.slack.webhook && slack.total > 0) {
+      await sendSlackNotification(notifications.slack.webhook, slack.fields, slack.total);
+    }
+
+    const teams = routeNotification(issues, rules, notifications.teams.categories);
+    if (notifications.teams.webhook && teams.total > 0) {
+      await sendTeamsNotification(notifications.teams.webhook, teams.fields, teams.total);
+    }
+
+    core.setOutput('planned-actions', JSON.stringify(dryRun.getPlannedActions()));
+
+    if (codeownersHealth && validationFailed(codeownersHealth, config.codeownersValidation.failOn)) {
+      core.setFailed(`❌ CODEOWNERS validation failed: ${codeownersHealth.errors.length} errors, ` +
+        `${codeownersHealth.warnings.length} warnings, ` +
+        `${codeownersHealth.coverage ? codeownersHealth.coverage.unownedFiles : 0} unowned files`);
+      return;
     }
 
     core.info('✅ PR monitoring completed successfully!');
 
   } catch (error) {
     core.setFailed(`Action failed: ${error.message}`);
+  } finally {
+    // Report remaining API quota, also when the run failed
+    const rateLimit = getRateLimit();
+    if (rateLimit.remaining !== null) {
+      core.info(`📈 GitHub API quota remaining: ${rateLimit.remaining}/${rateLimit.limit}`);
+      core.setOutput('rate-limit-remaining', rateLimit.remaining);
+    }
   }
 }
 
-function generateReport(issues, totalPRs, staleDays, oldDays) {
-  const now = new Date();
-  let report = '# 📊 Pull Request Status Report\n\n';
-  report += `**Generated:** ${now.toISOString().split('T')[0]} ${now.toTimeString().split(' ')[0]} UTC\n`;
-  report += `**Total Open PRs:** ${totalPRs}\n\n`;
-
-  const totalIssues = issues.stalled.length + issues.unassigned.length +
-    issues.blocked.length + issues.old.length;
-
-  if (totalIssues === 0) {
-    report += '## ✅ All Clear!\n\nNo issues found with open pull requests.\n\n';
-  } else {
-    report += `## ⚠️ Summary\n\n`;
-    report += `- 🔴 **${issues.stalled.length}** stalled PRs\n`;
-    report += `- 🟡 **${issues.unassigned.length}** unassigned PRs\n`;
-    report += `- 🚫 **${issues.blocked.length}** blocked PRs\n`;
-    report += `- 📅 **${issues.old.length}** long-running PRs\n`;
-    report += `- 👀 **${issues.needsReview.length}** PRs awaiting first review\n\n`;
+/**
+ * Get the time a PR was last worked on
+ * With the timeline source, bot and ignored activity does not count, so bot
+ * comments, label changes and the monitor's own reminders don't reset the stall clock
+ */
+async function getLastUpdate(pr, activity, getTimeline) {
+  if (activity.source !== 'timeline') {
+    return new Date(pr.updated_at);
   }
 
-  // Stalled PRs
-  report += `## ⏱️ Stalled PRs (No activity for ${staleDays}+ days)\n\n`;
-  if (issues.stalled.length > 0) {
-    issues.stalled.forEach(pr => {
-      const draftBadge = pr.draft ? '`DRAFT`' : '';
-      const reviewBadge = pr.reviewStatus === 'approved' ? '✅' :
-        pr.reviewStatus === 'changes-requested' ? '❌' : '⏳';
-      report += `- ${reviewBadge} [#${pr.number}](${pr.url}) ${draftBadge} - ${pr.title}\n`;
-      report += `  - Author: @${pr.author} | Last updated: **${pr.daysSinceUpdate} days ago**\n\n`;
-    });
-  } else {
-    report += '✅ No stalled PRs found.\n\n';
+  const events = await getTimeline();
+  if (!events) {
+    return new Date(pr.updated_at);
   }
+  return getLastActivity(pr, events, activity);
+}
 
-  // Needs Review
-  if (issues.needsReview.length > 0) {
-    report += `## 👀 PRs Awaiting First Review\n\n`;
-    issues.needsReview.forEach(pr => {
-      report += `- [#${pr.number}](${pr.url}) - ${pr.title}\n`;
-      report += `  - Author: @${pr.author} | Open for: **${pr.daysSinceCreated} days**\n\n`;
-    });
-  }
+/**
+ * Memoize an async loader so it runs at most once
+ */
+function memoize(loader) {
+  let promise = null;
+  return () => {
+    if (!promise) {
+      promise = Promise.resolve(loader());
+    }
+    return promise;
+  };
+}
 
-  // Unassigned PRs
-  report += `## 👤 Unassigned PRs\n\n`;
-  if (issues.unassigned.length > 0) {
-    issues.unassigned.forEach(pr => {
-      const draftBadge = pr.draft ? '`DRAFT`' : '';
-      report += `- [#${pr.number}](${pr.url}) ${draftBadge} - ${pr.title}\n`;
-      report += `  - Author: @${pr.author}\n\n`;
-    });
-  } else {
-    report += '✅ No unassigned PRs found.\n\n';
-  }
+/**
+ * Count entries of every rule that counts towards total-issues
+ */
+function countIssues(issues, rules) {
+  return rules
+    .filter(countsAsIssue)
+    .reduce((sum, rule) => sum + issues[rule.key].length, 0);
+}
 
-  // Blocked PRs
-  report += `## 🚫 Blocked PRs\n\n`;
-  if (issues.blocked.length > 0) {
-    issues.blocked.forEach(pr => {
-      const draftBadge = pr.draft ? '`DRAFT`' : '';
-      report += `- [#${pr.number}](${pr.url}) ${draftBadge} - ${pr.title}\n`;
-      report += `  - Author: @${pr.author} | Labels: \`${pr.labels}\`\n\n`;
-    });
-  } else {
-    report += '✅ No blocked PRs found.\n\n';
+/**
+ * Describe a category trend for templates: "+3" style delta and the PRs that moved
+ */
+function describeTrend(trend) {
+  if (!trend) {
+    return null;
   }
 
-  // Old PRs
-  report += `## 📅 Long-Running PRs (Open for ${oldDays}+ days)\n\n`;
-  if (issues.old.length > 0) {
-    issues.old.forEach(pr => {
-      const draftBadge = pr.draft ? '`DRAFT`' : '';
-      report += `- [#${pr.number}](${pr.url}) ${draftBadge} - ${pr.title}\n`;
-      report += `  - Author: @${pr.author} | Open for: **${pr.daysSinceCreated} days**\n\n`;
-    });
-  } else {
-    report += '✅ No long-running PRs found.\n\n';
+  const entered = trend.entered.map(n => `#${n}`).join(', ');
+  const left = trend.left.map(n => `#${n}`).join(', ');
+  return {
+    ...trend,
+    deltaText: trend.delta > 0 ? `+${trend.delta}` : trend.delta < 0 ? `${trend.delta}` : '±0',
+    changeText: [entered && `entered ${entered}`, left && `left ${left}`].filter(Boolean).join('; ')
+  };
+}
+
+/**
+ * Format hours for the report: hours up to two days, days beyond
+ */
+function formatHours(hours) {
+  if (hours === null) {
+    return '—';
   }
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 2.4) / 10}d`;
+}
 
-  return report;
+/**
+ * Describe CODEOWNERS validation results for templates: errors then warnings, each with
+ * an icon and a "Line 3: " location
+ */
+function describeCodeownersHealth(health) {
+  const describe = icon => problem => ({
+    ...problem,
+    icon,
+    location: problem.lines.length > 0
+      ? `Line${problem.lines.length > 1 ? 's' : ''} ${problem.lines.join(', ')}: `
+      : ''
+  });
+  return {
+    ...health,
+    problems: [...health.errors.map(describe('❌')), ...health.warnings.map(describe('⚠️'))]
+  };
+}
+
+/**
+ * Render the Markdown report from the report template
+ * Each entry carries its built-in rendering as `line`, next to its raw fields
+ *
+ * @param {Object} extras - { truncationWarnings, trend, flowMetrics, people, codeownersHealth }
+ */
+function generateReport(issues, rules, totalPRs, config, extras = {}) {
+  const {
+    truncationWarnings = [],
+    trend = { categories: {} },
+    flowMetrics = null,
+    people = null,
+    codeownersHealth = null
+  } = extras;
+  const now = new Date();
+  const { enabled, timezone, weekend, holidays } = config.workingDays;
+  const totalIssues = countIssues(issues, rules);
+
+  const categories = rules.map(rule => {
+    const entries = issues[rule.key];
+    return {
+      name: rule.name,
+      label: rule.label,
+      severity: rule.severity,
+      count: entries.length,
+      summary: rule.summary(entries.length),
+      heading: rule.heading(config),
+      emptyMessage: rule.emptyMessage,
+      trend: describeTrend(trend.categories[rule.name]),
+      // The template adds the line break that ends each entry
+      entries: entries.map(entry => ({ ...entry, line: rule.render(entry).replace(/\n$/, '') }))
+    };
+  });
+
+  return renderTemplate(config.templates.report, {
+    generatedDate: now.toISOString().split('T')[0],
+    generatedTime: now.toTimeString().split(' ')[0],
+    totalPRs,
+    totalIssues,
+    allClear: totalIssues === 0,
+    workingDays: enabled ? { timezone, weekend, weekendList: weekend.join(', '), holidayCount: holidays.length } : null,
+    truncated: truncationWarnings,
+    categories,
+    previousRunAt: trend.previousRunAt,
+    trendChanges: categories.filter(category => category.trend && category.trend.changeText),
+    people,
+    metrics: flowMetrics && {
+      ...flowMetrics,
+      rows: flowMetrics.metrics.map(metric => ({
+        ...metric,
+        median: formatHours(metric.medianHours),
+        p90: formatHours(metric.p90Hours)
+      }))
+    },
+    codeowners: codeownersHealth && describeCodeownersHealth(codeownersHealth),
+    // Rules without an empty message are omitted when empty
+    sections: categories.filter(category => category.count > 0 || category.emptyMessage)
+  });
 }
 
 // Function removed - functionality moved to GitHubService.commentOnPRs()
 
-async function sendSlackNotification(webhookUrl, issues, totalIssues) {
+/**
+ * Collect the notification fields and issue total for the categories routed to a channel
+ */
+function routeNotification(issues, rules, categories) {
+  const routed = categories
+    ? rules.filter(rule => categories.includes(rule.name))
+    : rules.filter(countsAsIssue);
+  const fields = routed.map(rule => ({ label: rule.label, count: issues[rule.key].length }));
+  const total = fields.reduce((sum, field) => sum + field.count, 0);
+
+  return { fields, total };
+}
+
+/**
+ * Post a webhook message, or record it in dry-run mode
+ * The webhook URL is a secret, so only the channel is recorded
+ */
+async function postWebhook(channel, webhookUrl, message) {
+  if (dryRun.isEnabled()) {
+    dryRun.record('post-webhook', { channel: channel.toLowerCase(), payload: message }, `send the ${channel} notification`);
+    return;
+  }
+  await axios.post(webhookUrl, message);
+  core.info(`✅ ${channel} notification sent`);
+}
+
+async function sendSlackNotification(webhookUrl, fields, totalIssues) {
   try {
     const message = {
       text: `🔔 *PR Status Alert*: ${totalIssues} issue${totalIssues !== 1 ? 's' : ''} found`,
@@ -316,35 +465,21 @@ async function sendSlackNotification(webhookUrl, issues, totalIssues) {
       },
         {
           type: 'section',
-          fields: [{
+          fields: fields.map(field => ({
             type: 'mrkdwn',
-            text: `*Stalled PRs:*\n${issues.stalled.length}`
-          },
-            {
-              type: 'mrkdwn',
-              text: `*Unassigned PRs:*\n${issues.unassigned.length}`
-            },
-            {
-              type: 'mrkdwn',
-              text: `*Blocked PRs:*\n${issues.blocked.length}`
-            },
-            {
-              type: 'mrkdwn',
-              text: `*Long-running PRs:*\n${issues.old.length}`
-            }
-          ]
+            text: `*${field.label}:*\n${field.count}`
+          }))
         }
       ]
     };
 
-    await axios.post(webhookUrl, message);
-    core.info('✅ Slack notification sent');
+    await postWebhook('Slack', webhookUrl, message);
   } catch (error) {
     core.warning(`Failed to send Slack notification: ${error.message}`);
   }
 }
 
-async function sendTeamsNotification(webhookUrl, issues, totalIssues) {
+async function sendTeamsNotification(webhookUrl, fields, totalIssues) {
   try {
     const message = {
       '@type': 'MessageCard',
@@ -353,17 +488,11 @@ async function sendTeamsNotification(webhookUrl, issues, totalIssues) {
       summary: `PR Status Alert: ${totalIssues} issues found`,
       sections: [{
         activityTitle: 'Pull Request Status Report',
-        facts: [
-          { name: 'Stalled PRs', value: issues.stalled.length.toString() },
-          { name: 'Unassigned PRs', value: issues.unassigned.length.toString() },
-          { name: 'Blocked PRs', value: issues.blocked.length.toString() },
-          { name: 'Long-running PRs', value: issues.old.length.toString() }
-        ]
+        facts: fields.map(field => ({ name: field.label, value: field.count.toString() }))
       }]
     };
 
-    await axios.post(webhookUrl, message);
-    core.info('✅ Teams notification sent');
+    await postWebhook('Teams', webhookUrl, message);
   } catch (error) {
     core.warning(`Failed to send Teams notification: ${error.message}`);
   }
@@ -0,0 +1,101 @@
+const core = require('@actions/core');
+const { REVIEW_STATES } = require('./rules/common');
+
+/**
+ * GitHub Actions job summary
+ * Renders the JSON report as a dashboard on the workflow run page
+ */
+const REVIEW_BADGES = Object.fromEntries(Object.entries(REVIEW_STATES)
+  .map(([status, { badge, label }]) => [status, `${badge} ${label}`]));
+
+function _escape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function _reviewers(pr) {
+  const reviewers = [
+    ...pr.reviewers.map(login => `@${login}`),
+    ...pr.teamReviewers.map(slug => `team ${slug}`)
+  ];
+  return reviewers.length > 0 ? _escape(reviewers.join(', ')) : '—';
+}
+
+function _prRow(pr) {
+  return [
+    `<a href="${_escape(pr.url)}">#${pr.number}</a>${pr.draft ? ' <code>DRAFT</code>' : ''}`,
+    _escape(pr.title),
+    `@${_escape(pr.author)}`,
+    String(pr.ageDays),
+    String(pr.idleDays),
+    _reviewers(pr),
+    REVIEW_BADGES[pr.reviewStatus] || '—'
+  ];
+}
+
+/**
+ * Add the report to the job summary buffer
+ *
+ * @param {Object} summary - core.summary
+ * @param {Object} report - JSON report from buildJsonReport
+ * @returns {Object} The summary, for chaining
+ */
+function renderJobSummary(summary, report) {
+  const unit = report.ageUnit === 'working-days' ? 'working days' : 'days';
+  const pullRequests = new Map(report.pullRequests.map(pr => [pr.number, pr]));
+
+  summary
+    .addHeading('📊 Pull Request Status Report', 2)
+    .addRaw(`<p><b>Open PRs:</b> ${report.totals.openPullRequests} | <b>Issues:</b> ${report.totals.issues} | ` +
+      `<b>Generated:</b> ${report.generatedAt}</p>`, true);
+
+  if (report.truncated.length > 0) {
+    summary.addRaw(`<p>⚠️ <b>Results truncated:</b> ${_escape(report.truncated.join(', '))}</p>`, true);
+  }
+
+  summary.addTable([
+    [{ data: 'Category', header: true }, { data: 'Severity', header: true }, { data: 'PRs', header: true }],
+    ...report.categories.map(category => [
+      _escape(category.label),
+      category.severity,
+      String(category.count)
+    ])
+  ]);
+
+  report.categories
+    .filter(category => category.count > 0)
+    .forEach(category => {
+      summary.addRaw(`<details><summary><b>${_escape(category.label)}</b> (${category.count})</summary>`, true);
+      summary.addTable([
+        ['PR', 'Title', 'Author', `Age (${unit})`, `Idle (${unit})`, 'Reviewers', 'Review']
+          .map(data => ({ data, header: true })),
+        ...category.pullRequests.map(number => _prRow(pullRequests.get(number)))
+      ]);
+      summary.addRaw('</details>', true);
+    });
+
+  return summary;
+}
+
+/**
+ * Write the report to the job summary
+ * Failures (e.g. when run outside Actions) are reported as warnings
+ *
+ * @param {Object} report - JSON report from buildJsonReport
+ */
+async function writeJobSummary(report) {
+  try {
+    await renderJobSummary(core.summary, report).write();
+    core.info('🧾 Wrote job summary');
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+module.exports = {
+  renderJobSummary,
+  writeJobSummary
+};
@@ -0,0 +1,142 @@
+const core = require('@actions/core');
+const githubService = require('./github-service');
+const { isBot } = require('./activity');
+
+/**
+ * Review-flow metrics over PRs merged in a lookback window
+ * Durations are in calendar hours: review SLAs are usually stated in wall-clock time
+ */
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+// Metric name (used in outputs) and report label, in report order
+const FLOW_METRICS = [
+  { name: 'time-to-first-review', label: 'Time to first review' },
+  { name: 'time-to-approval', label: 'Time to approval' },
+  { name: 'approval-to-merge', label: 'Approval to merge' },
+  { name: 'cycle-time', label: 'Cycle time (open to merge)' }
+];
+
+/**
+ * Nearest-rank percentile
+ *
+ * @param {Array} values - Numbers
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Percentile value, or null for no values
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * Median, averaging the two middle values of an even-sized list
+ *
+ * @param {Array} values - Numbers
+ * @returns {number|null} Median, or null for no values
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function _round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Measure one merged PR
+ * Reviews by the author and by bots do not count as a review
+ *
+ * @param {Object} pr - Merged pull request
+ * @param {Array} reviews - Its reviews
+ * @returns {Object} Hours per metric name, null where the event did not happen
+ */
+function measurePullRequest(pr, reviews) {
+  const created = new Date(pr.created_at);
+  const merged = new Date(pr.merged_at);
+  const hours = (from, to) => (from && to ? (to - from) / MS_PER_HOUR : null);
+
+  const counted = reviews
+    .filter(r => r.submitted_at && r.state !== 'PENDING')
+    .filter(r => r.user && !isBot(r.user) && r.user.login !== pr.user.login)
+    .map(r => ({ state: r.state, at: new Date(r.submitted_at) }))
+    .filter(r => r.at <= merged)
+    .sort((a, b) => a.at - b.at);
+
+  const approvals = counted.filter(r => r.state === 'APPROVED');
+  const firstReview = counted.length > 0 ? counted[0].at : null;
+  const firstApproval = approvals.length > 0 ? approvals[0].at : null;
+  const lastApproval = approvals.length > 0 ? approvals[approvals.length - 1].at : null;
+
+  return {
+    'time-to-first-review': hours(created, firstReview),
+    'time-to-approval': hours(created, firstApproval),
+    'approval-to-merge': hours(lastApproval, merged),
+    'cycle-time': hours(created, merged)
+  };
+}
+
+/**
+ * Aggregate per-PR measurements into median and p90 per metric
+ *
+ * @param {Array} measurements - Results of measurePullRequest
+ * @returns {Array} [{ name, label, count, medianHours, p90Hours }] in FLOW_METRICS order
+ */
+function summarizeMetrics(measurements) {
+  return FLOW_METRICS.map(({ name, label }) => {
+    const values = measurements.map(m => m[name]).filter(v => v !== null);
+    return {
+      name,
+      label,
+      count: values.length,
+      medianHours: _round(median(values)),
+      p90Hours: _round(percentile(values, 90))
+    };
+  });
+}
+
+/**
+ * Compute flow metrics for PRs merged in the lookback window
+ *
+ * @param {Object} settings - { lookbackDays }
+ * @param {Date} now - End of the window
+ * @returns {Object} { lookbackDays, mergedCount, metrics }
+ */
+async function computeFlowMetrics(settings, now) {
+  const since = new Date(now.getTime() - settings.lookbackDays * 24 * MS_PER_HOUR);
+  const merged = await githubService.listMergedPullRequests(since);
+  core.info(`📐 Measuring review flow over ${merged.length} PRs merged in the last ${settings.lookbackDays} days`);
+
+  const measurements = [];
+  for (const pr of merged) {
+    try {
+      const reviews = await githubService.getPullRequestReviews(pr.number);
+      measurements.push(measurePullRequest(pr, reviews));
+    } catch (error) {
+      core.warning(`Skipping PR #${pr.number} in flow metrics: ${error.message}`);
+    }
+  }
+
+  return {
+    lookbackDays: settings.lookbackDays,
+    mergedCount: measurements.length,
+    metrics: summarizeMetrics(measurements)
+  };
+}
+
+module.exports = {
+  FLOW_METRICS,
+  percentile,
+  median,
+  measurePullRequest,
+  summarizeMetrics,
+  computeFlowMetrics
+};
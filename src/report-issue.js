@@ -0,0 +1,127 @@
+const core = require('@actions/core');
+const githubService = require('./github-service');
+const { renderTemplate } = require('./template');
+const { CHANGES_COMMENT } = require('./default-templates');
+const { diffCategories } = require('./history');
+
+/**
+ * Publishing the report as a GitHub issue
+ * In "create" mode every run opens a new issue; in "update" mode a single rolling
+ * issue is found by its hidden marker and edited in place
+ */
+const REPORT_MARKER = '<!-- pr-status-monitor:report -->';
+const STATE_PATTERN = /<!-- pr-status-monitor:state (.*?) -->/;
+
+/**
+ * Build the issue body: hidden marker, hidden category state and the report
+ *
+ * @param {string} report - Markdown report
+ * @param {Object} state - PR numbers per category, e.g. { stalled: [1, 2] }
+ * @returns {string} Issue body
+ */
+function buildIssueBody(report, state) {
+  return `${REPORT_MARKER}\n<!-- pr-status-monitor:state ${JSON.stringify(state)} -->\n\n${report}`;
+}
+
+/**
+ * Read the category state hidden in a previous issue body
+ *
+ * @param {string} body - Issue body
+ * @returns {Object|null} PR numbers per category, or null if absent or unreadable
+ */
+function parseIssueState(body) {
+  const match = STATE_PATTERN.exec(body || '');
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe which PRs entered or left each category since the previous report
+ *
+ * @param {Object} previous - Previous PR numbers per category
+ * @param {Object} current - Current PR numbers per category
+ * @param {string} template - Comment template, rendered with { changes: [{ category, added, removed, items }] }
+ * @returns {string|null} Markdown comment, or null when nothing changed
+ */
+function describeChanges(previous, current, template = CHANGES_COMMENT) {
+  const changes = diffCategories(previous, current)
+    .filter(({ added, removed }) => added.length > 0 || removed.length > 0)
+    .map(change => ({
+      ...change,
+      items: [...change.added.map(n => `+#${n}`), ...change.removed.map(n => `-#${n}`)].join(', ')
+    }));
+
+  if (changes.length === 0) {
+    return null;
+  }
+  return renderTemplate(template, { changes });
+}
+
+/**
+ * Create or update the report issue according to the configured mode
+ *
+ * @param {string} report - Markdown report
+ * @param {Object} state - PR numbers per category
+ * @param {number} totalIssues - Number of issues found
+ * @param {Object} config - Configuration object
+ */
+async function publishReportIssue(report, state, totalIssues, config) {
+  const title = `PR Status Report - ${new Date().toISOString().split('T')[0]}`;
+  const body = buildIssueBody(report, state);
+
+  if (config.issueMode !== 'update') {
+    if (totalIssues > 0) {
+      core.info('📝 Creating issue with report...');
+      const issue = await githubService.createIssue(title, body, config.issueLabels);
+      core.info(`✅ Created issue #${issue.number}`);
+    }
+    return;
+  }
+
+  const existing = await githubService.findOpenIssue(config.issueLabels, REPORT_MARKER);
+
+  if (!existing) {
+    if (totalIssues > 0) {
+      core.info('📝 Creating rolling report issue...');
+      const issue = await githubService.createIssue(title, body, config.issueLabels);
+      core.info(`✅ Created issue #${issue.number}`);
+    }
+    return;
+  }
+
+  core.info(`📝 Updating report issue #${existing.number}...`);
+  await githubService.updateIssue(existing.number, { title, body });
+  core.info(`✅ Updated issue #${existing.number}`);
+
+  if (config.issueDiffComment) {
+    const previous = parseIssueState(existing.body);
+    const changes = previous && describeChanges(previous, state, config.templates.changesComment);
+    if (changes) {
+      try {
+        await githubService.createComment(existing.number, changes);
+      } catch (error) {
+        // createComment already logged a warning; a missing diff comment should not fail the run
+        core.debug(`Skipped diff comment on issue #${existing.number}`);
+      }
+    }
+  }
+
+  if (config.closeIssueWhenClear && totalIssues === 0) {
+    await githubService.updateIssue(existing.number, { state: 'closed', state_reason: 'completed' });
+    core.info(`✅ Closed issue #${existing.number} (all clear)`);
+  }
+}
+
+module.exports = {
+  REPORT_MARKER,
+  buildIssueBody,
+  parseIssueState,
+  describeChanges,
+  publishReportIssue
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const core = require('@actions/core');
+const { countsAsIssue } = require('./rules');
+
+/**
+ * Machine-readable report for downstream workflow steps
+ * The layout is documented in the README; bump SCHEMA_VERSION on any breaking change
+ */
+const SCHEMA_VERSION = 1;
+
+// Category-specific entry fields copied onto the pull request
+const DETAIL_FIELDS = ['failingChecks', 'size', 'pendingOwners', 'daysSinceApproval', 'daysSinceChangesRequested'];
+
+function _logins(users) {
+  return (users || []).map(user => user.login);
+}
+
+function _pullRequest(entry) {
+  return {
+    number: entry.number,
+    title: entry.title,
+    url: entry.url,
+    author: entry.author,
+    draft: Boolean(entry.draft),
+    ageDays: entry.daysSinceCreated,
+    idleDays: entry.daysSinceUpdate,
+    reviewStatus: entry.reviewStatus || null,
+    labels: (entry.labels || []).map(label => label.name),
+    assignees: _logins(entry.assignees),
+    reviewers: _logins(entry.requested_reviewers),
+    teamReviewers: (entry.requested_teams || []).map(team => team.slug),
+    categories: []
+  };
+}
+
+/**
+ * Build the JSON report
+ *
+ * @param {Object} issues - Category entries keyed by rule key
+ * @param {Array} rules - Enabled rules, in report order
+ * @param {number} totalPRs - Number of open PRs scanned
+ * @param {Object} config - Configuration object
+ * @param {Array} truncationWarnings - Listings that hit the max-items cap
+ * @returns {Object} Report matching schema version SCHEMA_VERSION
+ */
+function buildJsonReport(issues, rules, totalPRs, config, truncationWarnings = []) {
+  const pullRequests = new Map();
+
+  const categories = rules.map(rule => {
+    const entries = issues[rule.key];
+
+    entries.forEach(entry => {
+      if (!pullRequests.has(entry.number)) {
+        pullRequests.set(entry.number, _pullRequest(entry));
+      }
+      const pr = pullRequests.get(entry.number);
+      pr.categories.push(rule.name);
+
+      DETAIL_FIELDS.filter(field => entry[field] !== undefined).forEach(field => {
+        pr[field] = entry[field];
+      });
+    });
+
+    return {
+      name: rule.name,
+      label: rule.label,
+      severity: rule.severity,
+      countsAsIssue: countsAsIssue(rule),
+      count: entries.length,
+      pullRequests: entries.map(entry => entry.number)
+    };
+  });
+
+  const totalIssues = rules
+    .filter(countsAsIssue)
+    .reduce((sum, rule) => sum + issues[rule.key].length, 0);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    ageUnit: config.workingDays.enabled ? 'working-days' : 'calendar-days',
+    totals: {
+      openPullRequests: totalPRs,
+      flaggedPullRequests: pullRequests.size,
+      issues: totalIssues
+    },
+    truncated: truncationWarnings,
+    categories,
+    pullRequests: [...pullRequests.values()].sort((a, b) => a.number - b.number)
+  };
+}
+
+/**
+ * Write the JSON report to a file, relative to the workspace
+ * A failed write is reported as a warning so it never fails the run
+ *
+ * @param {Object} report - JSON report
+ * @param {string} file - Path relative to GITHUB_WORKSPACE (or absolute)
+ * @returns {string|null} Absolute path written, or null on failure
+ */
+function writeJsonReport(report, file) {
+  const target = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), file);
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(report, null, 2) + '\n');
+    core.info(`📄 Wrote JSON report to ${target}`);
+    return target;
+  } catch (error) {
+    core.warning(`Failed to write JSON report to ${target}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  buildJsonReport,
+  writeJsonReport
+};
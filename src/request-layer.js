@@ -0,0 +1,195 @@
+const core = require('@actions/core');
+
+/**
+ * Shared request layer for GitHub API calls
+ * Tracks rate-limit headers, retries transient failures with exponential backoff
+ * and limits how many requests are in flight at once
+ */
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_MAX_CONCURRENCY = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_WAIT_MS = 60 * 1000;
+
+let _maxRetries = DEFAULT_MAX_RETRIES;
+let _maxConcurrency = DEFAULT_MAX_CONCURRENCY;
+let _baseDelayMs = DEFAULT_BASE_DELAY_MS;
+let _maxWaitMs = DEFAULT_MAX_WAIT_MS;
+let _active = 0;
+let _waiting = [];
+let _rateLimits = {};
+
+/**
+ * Override retry and throttling settings
+ *
+ * @param {Object} options - { maxRetries, maxConcurrency, baseDelayMs, maxWaitMs }
+ */
+function configure(options = {}) {
+  if (Number.isInteger(options.maxRetries) && options.maxRetries >= 0) {
+    _maxRetries = options.maxRetries;
+  }
+  if (Number.isInteger(options.maxConcurrency) && options.maxConcurrency > 0) {
+    _maxConcurrency = options.maxConcurrency;
+  }
+  if (Number.isFinite(options.baseDelayMs) && options.baseDelayMs >= 0) {
+    _baseDelayMs = options.baseDelayMs;
+  }
+  if (Number.isFinite(options.maxWaitMs) && options.maxWaitMs >= 0) {
+    _maxWaitMs = options.maxWaitMs;
+  }
+}
+
+function _sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a free request slot
+ */
+async function _acquire() {
+  if (_active < _maxConcurrency) {
+    _active++;
+    return;
+  }
+  // The releasing request hands its slot over directly, so _active stays unchanged
+  await new Promise(resolve => _waiting.push(resolve));
+}
+
+function _release() {
+  const next = _waiting.shift();
+  if (next) {
+    next();
+  } else {
+    _active--;
+  }
+}
+
+/**
+ * Remember the latest rate-limit headers seen on a response, per quota
+ * Search and GraphQL calls draw on their own quotas (x-ratelimit-resource), separate from core
+ */
+function _recordRateLimit(headers) {
+  if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+    return;
+  }
+
+  _rateLimits[headers['x-ratelimit-resource'] || 'core'] = {
+    limit: parseInt(headers['x-ratelimit-limit']),
+    remaining: parseInt(headers['x-ratelimit-remaining']),
+    reset: parseInt(headers['x-ratelimit-reset'])
+  };
+}
+
+/**
+ * Work out how long to wait before retrying a failed request
+ *
+ * @param {Error} error - Error thrown by Octokit
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number|null} Delay in milliseconds, or null if the error is not retryable
+ */
+function getRetryDelay(error, attempt) {
+  const status = error.status;
+  const headers = (error.response && error.response.headers) || {};
+  const backoff = _baseDelayMs * Math.pow(2, attempt);
+
+  if (status >= 500) {
+    return backoff;
+  }
+
+  if (status !== 403 && status !== 429) {
+    return null;
+  }
+
+  if (headers['retry-after'] !== undefined) {
+    const delay = parseInt(headers['retry-after']) * 1000;
+    return delay <= _maxWaitMs ? delay : null;
+  }
+
+  // Primary rate limit exhausted: wait for the window to reset if it is close enough
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    const delay = Math.max(0, parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now());
+    return delay <= _maxWaitMs ? delay : null;
+  }
+
+  // Secondary (abuse) rate limits come back as 403/429 without quota headers
+  const message = (error.message || '').toLowerCase();
+  if (status === 429 || message.includes('secondary rate limit') || message.includes('abuse')) {
+    return backoff;
+  }
+
+  return null;
+}
+
+/**
+ * Run a request through the throttle, retrying transient failures
+ *
+ * @param {Function} fn - Function performing the request and returning the Octokit response
+ * @param {string} description - Short description used in log messages
+ * @returns {Promise<Object>} Octokit response
+ */
+async function send(fn, description = 'GitHub API request') {
+  await _acquire();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fn();
+        _recordRateLimit(response && response.headers);
+        return response;
+      } catch (error) {
+        _recordRateLimit(error.response && error.response.headers);
+
+        const delay = getRetryDelay(error, attempt);
+        if (delay === null || attempt >= _maxRetries) {
+          throw error;
+        }
+
+        core.warning(`${description} failed (${error.status}): ${error.message}. Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1}/${_maxRetries})`);
+        await _sleep(delay);
+      }
+    }
+  } finally {
+    _release();
+  }
+}
+
+/**
+ * Route every request made by an Octokit instance through the request layer
+ *
+ * @param {Object} octokit - Octokit instance from github.getOctokit
+ */
+function install(octokit) {
+  octokit.hook.wrap('request', (request, options) =>
+    send(() => request(options), `${options.method} ${options.url}`)
+  );
+}
+
+/**
+ * Get the most recently observed rate-limit quota
+ *
+ * @param {string} resource - Quota name from x-ratelimit-resource (core, search, graphql, ...)
+ * @returns {Object} { limit, remaining, reset } - values are null until a response is seen
+ */
+function getRateLimit(resource = 'core') {
+  return { ...(_rateLimits[resource] || { limit: null, remaining: null, reset: null }) };
+}
+
+/**
+ * Reset state (mainly for testing)
+ */
+function reset() {
+  _maxRetries = DEFAULT_MAX_RETRIES;
+  _maxConcurrency = DEFAULT_MAX_CONCURRENCY;
+  _baseDelayMs = DEFAULT_BASE_DELAY_MS;
+  _maxWaitMs = DEFAULT_MAX_WAIT_MS;
+  _active = 0;
+  _waiting = [];
+  _rateLimits = {};
+}
+
+module.exports = {
+  configure,
+  getRetryDelay,
+  send,
+  install,
+  getRateLimit,
+  reset
+};
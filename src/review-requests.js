@@ -0,0 +1,51 @@
+const core = require('@actions/core');
+const codeowners = require('./codeowners');
+const { selectAssignees, addWorkload } = require('./assignment');
+const { reviewStatus } = require('./rules/common');
+
+/**
+ * Request reviews from a PR's code owners when nobody has been asked yet
+ * Owners are picked with the same strategy, limit and author exclusion as auto-assignment.
+ * A submitted review clears its request, so approved PRs and owners who already
+ * reviewed are skipped rather than asked again on every run
+ *
+ * @param {Object} pr - Pull request
+ * @param {Object} ctx - Per-PR rule context (config, workload, getReviews, getCodeowners)
+ * @returns {Array} Owners asked for a review; empty when nothing was requested
+ */
+async function requestCodeownerReviews(pr, ctx) {
+  const pending = (pr.requested_reviewers || []).length + (pr.requested_teams || []).length;
+  if (pr.draft || pending > 0) {
+    return [];
+  }
+
+  const reviews = await ctx.getReviews();
+  if (reviewStatus(reviews, pr) === 'approved') {
+    return [];
+  }
+
+  const reviewed = new Set(reviews
+    .filter(review => review.user && review.state !== 'PENDING')
+    .map(review => review.user.login.toLowerCase()));
+  const candidates = (await ctx.getCodeowners()).filter(owner => !reviewed.has(owner.toLowerCase()));
+
+  const owners = selectAssignees(pr, candidates, ctx.config.assignment, ctx.workload);
+  if (owners.length === 0) {
+    return [];
+  }
+
+  const success = await codeowners.requestOwnerReviews(pr.number, owners);
+  if (!success) {
+    return [];
+  }
+
+  if (ctx.workload) {
+    addWorkload(ctx.workload, owners);
+  }
+  core.info(`  ✅ Requested reviews on PR #${pr.number} from: ${owners.join(', ')}`);
+  return owners;
+}
+
+module.exports = {
+  requestCodeownerReviews
+};
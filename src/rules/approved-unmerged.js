@@ -0,0 +1,58 @@
+const { baseEntry, latestReviews, reviewStatus, prLine } = require('./common');
+
+// Check conclusions that don't hold up a merge; checks still running have no conclusion yet
+const PASSING_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+// The PR has been ready since the earliest standing approval of its head commit
+function _approvedAt(reviews, pr) {
+  const headSha = pr.head && pr.head.sha;
+  const times = [...latestReviews(reviews).values()]
+    .filter(review => review.state === 'APPROVED' && review.submitted_at)
+    .filter(review => !headSha || !review.commit_id || review.commit_id === headSha)
+    .map(review => new Date(review.submitted_at).getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * Non-draft approved PRs with passing checks, still unmerged approved-unmerged-days after
+ * their approval: the author or a maintainer needs to merge them
+ */
+module.exports = {
+  name: 'approved-unmerged',
+  key: 'approvedUnmerged',
+  severity: 'low',
+  label: 'Approved but not merged',
+  summary: count => `🟢 **${count}** approved PRs waiting to be merged`,
+  heading: config => `🚀 Approved but Not Merged (${config.approvedUnmergedDays}+ days)`,
+  emptyMessage: null,
+
+  async evaluate(pr, ctx) {
+    // A PR can't have been approved for longer than it has been open
+    if (pr.draft || ctx.daysSinceCreated < ctx.thresholds.approvedUnmergedDays) {
+      return null;
+    }
+
+    const reviews = await ctx.getReviews();
+    if (reviewStatus(reviews, pr) !== 'approved') {
+      return null;
+    }
+
+    const approvedAt = _approvedAt(reviews, pr);
+    const daysSinceApproval = Math.floor(approvedAt ? ctx.daysSince(approvedAt) : ctx.daysSinceUpdate);
+    if (daysSinceApproval < ctx.thresholds.approvedUnmergedDays) {
+      return null;
+    }
+
+    // Checks that couldn't be loaded are not a pass; a PR without any checks has nothing blocking it
+    const checks = await ctx.getChecks();
+    if (!checks || !checks.every(check => PASSING_CONCLUSIONS.includes(check.conclusion))) {
+      return null;
+    }
+
+    return { ...baseEntry(pr, ctx), reviewStatus: 'approved', daysSinceApproval };
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author} | Approved: **${entry.daysSinceApproval} days ago**\n\n`;
+  }
+};
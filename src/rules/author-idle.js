@@ -0,0 +1,63 @@
+const core = require('@actions/core');
+const { getLastAuthorActivity } = require('../activity');
+const { baseEntry, latestReviews, reviewStatus, prLine } = require('./common');
+
+// The author owes a response to the most recent standing change request
+function _changesRequestedAt(reviews) {
+  const times = [...latestReviews(reviews).values()]
+    .filter(review => review.state === 'CHANGES_REQUESTED' && review.submitted_at)
+    .map(review => new Date(review.submitted_at).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Non-draft PRs with changes requested whose author has not pushed, commented or reviewed
+ * since, for author-idle-days or more: the author needs to act
+ */
+module.exports = {
+  name: 'author-idle',
+  key: 'authorIdle',
+  severity: 'low',
+  label: 'Changes requested, author idle',
+  summary: count => `✏️ **${count}** PRs waiting on their author after a change request`,
+  heading: config => `✏️ Changes Requested, Author Idle (${config.authorIdleDays}+ days)`,
+  emptyMessage: null,
+
+  async evaluate(pr, ctx) {
+    if (pr.draft || ctx.daysSinceCreated < ctx.thresholds.authorIdleDays) {
+      return null;
+    }
+
+    const reviews = await ctx.getReviews();
+    if (reviewStatus(reviews, pr) !== 'changes-requested') {
+      return null;
+    }
+
+    // Without a submission time there is nothing to measure the author's silence against
+    const requestedAt = _changesRequestedAt(reviews);
+    if (!requestedAt) {
+      return null;
+    }
+
+    const daysSinceChangesRequested = Math.floor(ctx.daysSince(requestedAt));
+    if (daysSinceChangesRequested < ctx.thresholds.authorIdleDays) {
+      return null;
+    }
+
+    const events = await ctx.getTimeline();
+    if (!events) {
+      core.debug(`Skipping author activity check for PR #${pr.number} (timeline unavailable)`);
+      return null;
+    }
+    const lastActivity = getLastAuthorActivity(pr, events);
+    if (lastActivity && lastActivity > requestedAt) {
+      return null;
+    }
+
+    return { ...baseEntry(pr, ctx), reviewStatus: 'changes-requested', daysSinceChangesRequested };
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author} | Changes requested: **${entry.daysSinceChangesRequested} days ago**\n\n`;
+  }
+};
@@ -0,0 +1,31 @@
+const { baseEntry, prLine } = require('./common');
+
+/**
+ * PRs carrying one of the configured blocking labels
+ */
+module.exports = {
+  name: 'blocked',
+  key: 'blocked',
+  severity: 'high',
+  label: 'Blocked PRs',
+  summary: count => `🚫 **${count}** blocked PRs`,
+  heading: () => '🚫 Blocked PRs',
+  emptyMessage: '✅ No blocked PRs found.',
+
+  async evaluate(pr, ctx) {
+    const labels = pr.labels.map(l => l.name.toLowerCase());
+    const isBlocked = ctx.config.blockedLabels.some(label =>
+      labels.includes(label.toLowerCase())
+    );
+
+    if (!isBlocked) {
+      return null;
+    }
+
+    return baseEntry(pr, ctx);
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author} | Labels: \`${entry.labels.map(l => l.name).join(', ')}\`\n\n`;
+  }
+};
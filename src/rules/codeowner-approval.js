@@ -0,0 +1,41 @@
+const codeowners = require('../codeowners');
+const { baseEntry, prLine } = require('./common');
+
+/**
+ * Non-draft PRs with changed files whose code owners have not approved yet, listing
+ * each CODEOWNERS rule still waiting on an approval
+ * Informational only: not counted in total-issues
+ */
+module.exports = {
+  name: 'codeowner-approval',
+  key: 'codeownerApproval',
+  severity: 'info',
+  label: 'Waiting on code-owner approval',
+  summary: count => `🔏 **${count}** PRs waiting on code-owner approval`,
+  heading: () => '🔏 PRs Waiting on Code-Owner Approval',
+  emptyMessage: null,
+
+  async evaluate(pr, ctx) {
+    if (pr.draft || !ctx.codeowners) {
+      return null;
+    }
+
+    const groups = codeowners.groupFilesByOwner(await ctx.getFiles(), ctx.codeowners);
+    if (groups.length === 0) {
+      return null;
+    }
+
+    const pendingOwners = await codeowners.findUnapprovedGroups(groups, await ctx.getReviews());
+    if (pendingOwners.length === 0) {
+      return null;
+    }
+
+    return { ...baseEntry(pr, ctx), pendingOwners };
+  },
+
+  render(entry) {
+    const groups = entry.pendingOwners.map(group =>
+      `  - \`${group.pattern}\` (${group.files.length} files): ${group.owners.map(owner => `@${owner}`).join(', ')}\n`);
+    return prLine(entry) + `  - Author: @${entry.author} | Waiting on:\n` + groups.join('') + '\n';
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * Helpers shared by the category rules
+ */
+
+/**
+ * Fields every category entry carries
+ *
+ * @param {Object} pr - Pull request
+ * @param {Object} ctx - Evaluation context
+ * @returns {Object} Category entry
+ */
+function baseEntry(pr, ctx) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    author: pr.user.login,
+    url: pr.html_url,
+    draft: pr.draft,
+    daysSinceCreated: Math.floor(ctx.daysSinceCreated),
+    daysSinceUpdate: Math.floor(ctx.daysSinceUpdate),
+    labels: pr.labels,
+    assignees: pr.assignees,
+    requested_reviewers: pr.requested_reviewers,
+    requested_teams: pr.requested_teams
+  };
+}
+
+// Review statuses, most pressing first, with their report badge and label
+const REVIEW_STATES = {
+  'changes-requested': { badge: '❌', label: 'changes requested' },
+  're-review-requested': { badge: '🔁', label: 're-review requested' },
+  'approved': { badge: '✅', label: 'approved' },
+  'approved-stale': { badge: '⚠️', label: 'approved (stale)' },
+  'pending': { badge: '⏳', label: 'pending' }
+};
+
+/**
+ * Each reviewer's standing verdict: their latest review that approved or requested changes
+ * Comments don't change a verdict and a dismissed review withdraws it.
+ * Reviews are expected in submission order, as the API returns them
+ *
+ * @param {Array} reviews - Pull request reviews
+ * @returns {Map} Latest APPROVED or CHANGES_REQUESTED review by lower-cased login
+ */
+function latestReviews(reviews) {
+  const latest = new Map();
+  for (const review of reviews) {
+    const login = review.user ? review.user.login.toLowerCase() : '';
+    if (review.state === 'DISMISSED') {
+      latest.delete(login);
+    } else if (review.state === 'APPROVED' || review.state === 'CHANGES_REQUESTED') {
+      latest.set(login, review);
+    }
+  }
+  return latest;
+}
+
+/**
+ * Summarize a PR's reviews as one of REVIEW_STATES, from each reviewer's latest verdict
+ * A reviewer asked to review again is waiting on a re-review whatever their verdict, and
+ * an approval of an earlier head commit is stale
+ *
+ * @param {Array} reviews - Pull request reviews
+ * @param {Object} pr - Pull request, for its requested reviewers and head commit
+ * @returns {string} Review status
+ */
+function reviewStatus(reviews, pr = {}) {
+  const requested = new Set((pr.requested_reviewers || []).map(user => user.login.toLowerCase()));
+  const headSha = pr.head && pr.head.sha;
+
+  const states = [...latestReviews(reviews)].map(([login, review]) => {
+    if (requested.has(login)) {
+      return 're-review-requested';
+    }
+    if (review.state === 'CHANGES_REQUESTED') {
+      return 'changes-requested';
+    }
+    return headSha && review.commit_id && review.commit_id !== headSha ? 'approved-stale' : 'approved';
+  });
+
+  return Object.keys(REVIEW_STATES).find(state => states.includes(state)) || 'pending';
+}
+
+/**
+ * Render the first report line for an entry: link, draft badge and title
+ */
+function prLine(entry, prefix = '') {
+  const draftBadge = entry.draft ? '`DRAFT`' : '';
+  return `- ${prefix}[#${entry.number}](${entry.url}) ${draftBadge} - ${entry.title}\n`;
+}
+
+module.exports = {
+  REVIEW_STATES,
+  baseEntry,
+  latestReviews,
+  reviewStatus,
+  prLine
+};
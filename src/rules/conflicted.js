@@ -0,0 +1,27 @@
+const { baseEntry, prLine } = require('./common');
+
+/**
+ * PRs that cannot be merged cleanly into their base branch
+ */
+module.exports = {
+  name: 'conflicted',
+  key: 'conflicted',
+  severity: 'high',
+  label: 'Merge conflicts',
+  summary: count => `⚔️ **${count}** PRs with merge conflicts`,
+  heading: () => '⚔️ PRs With Merge Conflicts',
+  emptyMessage: null,
+
+  async evaluate(pr, ctx) {
+    const details = await ctx.getDetails();
+    if (!details || (details.mergeable !== false && details.mergeable_state !== 'dirty')) {
+      return null;
+    }
+
+    return baseEntry(pr, ctx);
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author} | Open for: **${entry.daysSinceCreated} days**\n\n`;
+  }
+};
@@ -0,0 +1,68 @@
+const { baseEntry, prLine } = require('./common');
+
+/**
+ * Build a rule from a `rules.custom` entry in the config file
+ * Every condition present in `match` must hold for a PR to be flagged
+ *
+ * @param {Object} definition - { name, title, severity, match }
+ * @returns {Object} Rule
+ */
+function createCustomRule(definition) {
+  const match = definition.match;
+  const title = definition.title || definition.name;
+  const titlePattern = match.title ? new RegExp(match.title, 'i') : null;
+  const labels = (match.labels || []).map(l => l.toLowerCase());
+  const needsSize = match['min-size'] !== undefined || match['max-size'] !== undefined;
+
+  return {
+    name: definition.name,
+    key: definition.name,
+    severity: definition.severity || 'medium',
+    label: title,
+    summary: count => `🔎 **${count}** ${title}`,
+    heading: () => `🔎 ${title}`,
+    emptyMessage: null,
+
+    async evaluate(pr, ctx) {
+      if (titlePattern && !titlePattern.test(pr.title)) {
+        return null;
+      }
+      if (labels.length > 0 && !pr.labels.some(l => labels.includes(l.name.toLowerCase()))) {
+        return null;
+      }
+      if (match.authors && !match.authors.includes(pr.user.login)) {
+        return null;
+      }
+      if (match['base-branches'] && !(pr.base && match['base-branches'].includes(pr.base.ref))) {
+        return null;
+      }
+
+      let size;
+      if (needsSize) {
+        // Line counts are not part of the list endpoint, so load the full PR
+        const details = await ctx.getDetails();
+        if (!details) {
+          return null;
+        }
+        size = details.additions + details.deletions;
+        if (match['min-size'] !== undefined && size < match['min-size']) {
+          return null;
+        }
+        if (match['max-size'] !== undefined && size > match['max-size']) {
+          return null;
+        }
+      }
+
+      return { ...baseEntry(pr, ctx), size };
+    },
+
+    render(entry) {
+      const size = entry.size !== undefined ? ` | Size: **${entry.size} lines**` : '';
+      return prLine(entry) + `  - Author: @${entry.author} | Open for: **${entry.daysSinceCreated} days**${size}\n\n`;
+    }
+  };
+}
+
+module.exports = {
+  createCustomRule
+};
@@ -0,0 +1,35 @@
+const { baseEntry, prLine } = require('./common');
+
+// Check run / status conclusions that count as a failing check
+const FAILING_CONCLUSIONS = ['failure', 'error', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+
+/**
+ * PRs whose head commit has failing check runs or commit statuses
+ */
+module.exports = {
+  name: 'failing-checks',
+  key: 'failingChecks',
+  severity: 'high',
+  label: 'Failing checks',
+  summary: count => `❌ **${count}** PRs with failing checks`,
+  heading: () => '❌ PRs With Failing Checks',
+  emptyMessage: null,
+
+  async evaluate(pr, ctx) {
+    // Checks that couldn't be loaded are unknown, not failing
+    const checks = (await ctx.getChecks()) || [];
+    const failingChecks = checks
+      .filter(c => FAILING_CONCLUSIONS.includes(c.conclusion))
+      .map(c => c.name);
+
+    if (failingChecks.length === 0) {
+      return null;
+    }
+
+    return { ...baseEntry(pr, ctx), failingChecks };
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author} | Failing: \`${entry.failingChecks.join(', ')}\`\n\n`;
+  }
+};
@@ -0,0 +1,66 @@
+const stalled = require('./stalled');
+const needsReview = require('./needs-review');
+const codeownerApproval = require('./codeowner-approval');
+const approvedUnmerged = require('./approved-unmerged');
+const authorIdle = require('./author-idle');
+const unassigned = require('./unassigned');
+const blocked = require('./blocked');
+const failingChecks = require('./failing-checks');
+const conflicted = require('./conflicted');
+const old = require('./old');
+const { createCustomRule } = require('./custom');
+
+/**
+ * Rule registry
+ *
+ * A rule is an object with:
+ * - name: category name used in config, notifications and the `<name>-count` output
+ * - key: property holding the category's entries in the issues object
+ * - severity: high | medium | low | info (info rules are not counted in total-issues)
+ * - label: short label used in notifications
+ * - summary(count), heading(config), emptyMessage, render(entry): report rendering
+ * - evaluate(pr, ctx): resolves to a category entry, or null when the PR does not match
+ */
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+// Built-in rules, in report order
+const BUILT_IN_RULES = [stalled, needsReview, codeownerApproval, approvedUnmerged, authorIdle, unassigned, blocked, failingChecks, conflicted, old];
+
+const BUILT_IN_RULE_NAMES = BUILT_IN_RULES.map(rule => rule.name);
+
+/**
+ * Get the enabled rules for a configuration: built-in rules that are not disabled,
+ * followed by custom rules from the config file
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Array} Enabled rules, in report order
+ */
+function getRules(config) {
+  const disabled = new Set(config.disabledRules);
+  if (!config.checkStatusAndConflicts) {
+    disabled.add(failingChecks.name);
+    disabled.add(conflicted.name);
+  }
+  if (!config.checkCodeownerApproval) {
+    disabled.add(codeownerApproval.name);
+  }
+
+  return [
+    ...BUILT_IN_RULES.filter(rule => !disabled.has(rule.name)),
+    ...config.customRules.map(createCustomRule)
+  ];
+}
+
+/**
+ * Whether entries of a rule count towards total-issues
+ */
+function countsAsIssue(rule) {
+  return rule.severity !== 'info';
+}
+
+module.exports = {
+  SEVERITIES,
+  BUILT_IN_RULE_NAMES,
+  getRules,
+  countsAsIssue
+};
@@ -0,0 +1,29 @@
+const { baseEntry } = require('./common');
+
+/**
+ * Non-draft PRs that have waited needs-review-days or more without any review
+ * Informational only: not counted in total-issues
+ */
+module.exports = {
+  name: 'needs-review',
+  key: 'needsReview',
+  severity: 'info',
+  label: 'PRs awaiting review',
+  summary: count => `👀 **${count}** PRs awaiting first review`,
+  heading: () => '👀 PRs Awaiting First Review',
+  emptyMessage: null,
+
+  async evaluate(pr, ctx) {
+    if (pr.draft || ctx.daysSinceCreated < ctx.thresholds.needsReviewDays) {
+      return null;
+    }
+
+    const reviews = await ctx.getReviews();
+    return reviews.length === 0 ? baseEntry(pr, ctx) : null;
+  },
+
+  render(entry) {
+    return `- [#${entry.number}](${entry.url}) - ${entry.title}\n` +
+      `  - Author: @${entry.author} | Open for: **${entry.daysSinceCreated} days**\n\n`;
+  }
+};
@@ -0,0 +1,22 @@
+const { baseEntry, prLine } = require('./common');
+
+/**
+ * PRs open for old-days or more
+ */
+module.exports = {
+  name: 'old',
+  key: 'old',
+  severity: 'medium',
+  label: 'Long-running PRs',
+  summary: count => `📅 **${count}** long-running PRs`,
+  heading: config => `📅 Long-Running PRs (Open for ${config.oldDays}+ days)`,
+  emptyMessage: '✅ No long-running PRs found.',
+
+  async evaluate(pr, ctx) {
+    return ctx.daysSinceCreated >= ctx.thresholds.oldDays ? baseEntry(pr, ctx) : null;
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author} | Open for: **${entry.daysSinceCreated} days**\n\n`;
+  }
+};
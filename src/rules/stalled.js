@@ -0,0 +1,31 @@
+const { REVIEW_STATES, baseEntry, reviewStatus, prLine } = require('./common');
+
+/**
+ * PRs with no activity for stale-days or more
+ */
+module.exports = {
+  name: 'stalled',
+  key: 'stalled',
+  severity: 'high',
+  label: 'Stalled PRs',
+  summary: count => `🔴 **${count}** stalled PRs`,
+  heading: config => `⏱️ Stalled PRs (No activity for ${config.staleDays}+ days)`,
+  emptyMessage: '✅ No stalled PRs found.',
+
+  async evaluate(pr, ctx) {
+    if (ctx.daysSinceUpdate < ctx.thresholds.staleDays) {
+      return null;
+    }
+
+    return {
+      ...baseEntry(pr, ctx),
+      reviewStatus: reviewStatus(await ctx.getReviews(), pr)
+    };
+  },
+
+  render(entry) {
+    const review = REVIEW_STATES[entry.reviewStatus];
+    return prLine(entry, `${review.badge} `) +
+      `  - Author: @${entry.author} | Last updated: **${entry.daysSinceUpdate} days ago** | Review: ${review.label}\n\n`;
+  }
+};
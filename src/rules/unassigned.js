@@ -0,0 +1,49 @@
+const core = require('@actions/core');
+const codeowners = require('../codeowners');
+const { selectAssignees, addWorkload } = require('../assignment');
+const { baseEntry, prLine } = require('./common');
+
+/**
+ * PRs without assignees, after trying to auto-assign them to their CODEOWNERS
+ */
+module.exports = {
+  name: 'unassigned',
+  key: 'unassigned',
+  severity: 'medium',
+  label: 'Unassigned PRs',
+  summary: count => `🟡 **${count}** unassigned PRs`,
+  heading: () => '👤 Unassigned PRs',
+  emptyMessage: '✅ No unassigned PRs found.',
+
+  async evaluate(pr, ctx) {
+    if (pr.assignees && pr.assignees.length > 0) {
+      return null;
+    }
+
+    // Try to auto-assign to CODEOWNERS if enabled
+    if (ctx.config.autoAssignCodeowners && ctx.codeowners) {
+      // Teams can't be assigned, so they are replaced by their members
+      const prOwners = await codeowners.expandTeamOwners(await ctx.getCodeowners(), ctx.config.assignment);
+      const assignees = selectAssignees(pr, prOwners, ctx.config.assignment, ctx.workload);
+
+      if (assignees.length > 0) {
+        const success = await codeowners.assignPRToOwners(pr.number, assignees);
+        if (success) {
+          if (ctx.workload) {
+            addWorkload(ctx.workload, assignees);
+          }
+          core.info(`  ✅ Auto-assigned PR #${pr.number} to: ${assignees.join(', ')}`);
+          return null;
+        }
+      } else if (prOwners.length > 0) {
+        core.debug(`PR #${pr.number} has no code owners to assign besides its author`);
+      }
+    }
+
+    return baseEntry(pr, ctx);
+  },
+
+  render(entry) {
+    return prLine(entry) + `  - Author: @${entry.author}\n\n`;
+  }
+};
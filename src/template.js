@@ -0,0 +1,151 @@
+/**
+ * Minimal Mustache-style template engine for Markdown output
+ *
+ * Supported tags:
+ * - {{name}}, {{a.b}}, {{.}}: interpolation (no HTML escaping; {{{name}}} and {{& name}} are aliases)
+ * - {{#name}}...{{/name}}: section, repeated for each item of a list or rendered once for a truthy value
+ * - {{^name}}...{{/name}}: inverted section, rendered for falsy values and empty lists
+ * - {{! comment }}
+ * Section and comment tags alone on a line remove that line, as in Mustache
+ */
+const TAG_PATTERN = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([#^/!&]?)\s*([^}]*?)\s*\}\}/g;
+
+// Tags that produce no output and may stand alone on a line
+const STANDALONE_TYPES = ['#', '^', '/', '!'];
+
+function _isBlank(text) {
+  return /^[ \t\r]*$/.test(text);
+}
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ * Throws on unbalanced sections
+ *
+ * @param {string} template - Template source
+ * @returns {Array} Parsed nodes
+ */
+function parseTemplate(template) {
+  const root = [];
+  const stack = [{ name: null, children: root }];
+  const pattern = new RegExp(TAG_PATTERN.source, 'g');
+  let pos = 0;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    const tagEnd = match.index + match[0].length;
+    const type = match[1] !== undefined ? '&' : match[2];
+    const name = match[1] !== undefined ? match[1] : match[3];
+
+    let textEnd = match.index;
+    let next = tagEnd;
+    if (STANDALONE_TYPES.includes(type)) {
+      const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+      const lineEnd = template.indexOf('\n', tagEnd);
+      const rest = template.slice(tagEnd, lineEnd === -1 ? template.length : lineEnd);
+      if (lineStart >= pos && _isBlank(template.slice(lineStart, match.index)) && _isBlank(rest)) {
+        textEnd = lineStart;
+        next = lineEnd === -1 ? template.length : lineEnd + 1;
+      }
+    }
+
+    const current = stack[stack.length - 1];
+    if (textEnd > pos) {
+      current.children.push({ type: 'text', value: template.slice(pos, textEnd) });
+    }
+    pos = next;
+    pattern.lastIndex = next;
+
+    if (type === '!') {
+      continue;
+    }
+    if (type === '#' || type === '^') {
+      const section = { type: 'section', name, inverted: type === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (current.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${current.name ? ` (expected {{/${current.name}}})` : ''}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (pos < template.length) {
+    stack[stack.length - 1].children.push({ type: 'text', value: template.slice(pos) });
+  }
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+
+  return root;
+}
+
+function _lookup(name, stack) {
+  if (name === '.') {
+    return stack[stack.length - 1];
+  }
+
+  const [first, ...rest] = name.split('.');
+  let value;
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context !== null && context !== undefined && typeof context === 'object' && first in context) {
+      value = context[first];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function _isFalsy(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function _render(nodes, stack) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = _lookup(node.name, stack);
+      output += value === null || value === undefined ? '' : String(value);
+    } else {
+      const value = _lookup(node.name, stack);
+      if (node.inverted) {
+        output += _isFalsy(value) ? _render(node.children, stack) : '';
+      } else if (Array.isArray(value)) {
+        output += value.map(item => _render(node.children, [...stack, item])).join('');
+      } else if (!_isFalsy(value)) {
+        output += _render(node.children, [...stack, value]);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template with a view object
+ *
+ * @param {string} template - Template source
+ * @param {Object} view - Data available to the template
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, view) {
+  return _render(parseTemplate(template), [view]);
+}
+
+module.exports = {
+  parseTemplate,
+  renderTemplate
+};